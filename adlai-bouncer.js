@@ -0,0 +1,238 @@
+// <adlai-bouncer> - the bouncing logo as an embeddable custom element.
+//
+// Each instance runs its own simulation (simulation.js, with its own Matter
+// engine) inside its own box: the playfield follows the element's size through
+// a ResizeObserver, and the text is drawn in the element's shadow root, so any
+// number of them can share a page - as a widget, a loading screen and so on.
+//
+//   <script src="matter.min.js"></script>
+//   <script src="simulation.js"></script>
+//   <script src="adlai-bouncer.js"></script>
+//   <adlai-bouncer text="Loading…" speed="4" scale-factor="0.9" max-elements="12"
+//                  style="width: 400px; height: 240px"></adlai-bouncer>
+//
+// Attributes: text, speed (CONSTANT_SPEED), scale-factor (SCALE_FACTOR) and
+// max-elements (MAX_ELEMENTS); values outside the setting's range are clamped.
+// The element's font-size and color style the text.
+(function() {
+    'use strict';
+    
+    const Simulation = window.AdlaiSimulation;
+    if (!Simulation || !window.customElements) return;
+    
+    const DEFAULT_TEXT = 'adlai.net';
+    const REDUCED_MOTION_SPEED = 0.25; // Same as the full page
+    const FADE_MS = 1000;
+    
+    // Attribute -> simulation setting
+    const ATTRIBUTES = {
+        'speed': 'CONSTANT_SPEED',
+        'scale-factor': 'SCALE_FACTOR',
+        'max-elements': 'MAX_ELEMENTS'
+    };
+    
+    const STYLE = `
+        :host {
+            display: block;
+            position: relative;
+            overflow: hidden;
+            min-height: 100px;
+            font-size: 40px;
+            font-family: 'Audiowide', 'Orbitron', 'Exo', 'Rajdhani', sans-serif;
+            color: white;
+            user-select: none;
+        }
+        :host([hidden]) {
+            display: none;
+        }
+        .bouncing-text {
+            position: absolute;
+            top: 0;
+            left: 0;
+            white-space: nowrap;
+            pointer-events: none;
+            will-change: transform;
+            text-shadow: 0 0 10px rgba(255, 255, 255, 0.3);
+        }
+    `;
+    
+    const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    
+    // Setting value from an attribute, clamped to the setting's range (undefined
+    // if it isn't a number)
+    function parseAttribute(key, raw) {
+        const spec = Simulation.CONFIG_SCHEMA[key];
+        let value = parseFloat(raw);
+        if (!isFinite(value)) {
+            console.warn('<adlai-bouncer> ignoring invalid ' + spec.param + ':', raw);
+            return undefined;
+        }
+        if (spec.type === 'integer') value = Math.round(value);
+        return Math.max(spec.min, Math.min(value, spec.max));
+    }
+    
+    // One bouncer: a simulation drawn as one positioned div per element into
+    // `root`, sized to `width` x `height`
+    function createBouncer(root, config, width, height, getText) {
+        const sim = Simulation.createSimulation({
+            width: width,
+            height: height,
+            config: config,
+            measure: scale => {
+                const view = document.createElement('div');
+                view.className = 'bouncing-text';
+                view.setAttribute('aria-hidden', 'true');
+                view.style.fontSize = scale + 'em';
+                view.textContent = getText();
+                root.appendChild(view);
+                
+                const rect = view.getBoundingClientRect();
+                return { width: rect.width, height: rect.height, view: view };
+            }
+        });
+        
+        function fade(view, direction) {
+            const frames = [{ opacity: 0 }, { opacity: 1 }];
+            return view.animate(direction === 'in' ? frames : frames.reverse(), { duration: FADE_MS, fill: 'forwards' });
+        }
+        
+        function removeView(view) {
+            if (view.parentNode) view.parentNode.removeChild(view);
+        }
+        
+        sim.on('spawn', event => {
+            if (event.enter && event.element.view.animate) fade(event.element.view, 'in');
+        });
+        
+        sim.on('remove', event => {
+            const view = event.element.view;
+            if (event.exit && view.animate) {
+                fade(view, 'out').onfinish = () => removeView(view);
+            } else {
+                removeView(view);
+            }
+        });
+        
+        sim.on('reset-start', event => {
+            event.elements.forEach(element => {
+                if (element.view.animate) fade(element.view, 'out');
+            });
+        });
+        
+        sim.on('corner-hit', event => {
+            if (event.manual || !event.element || !event.element.view.animate) return;
+            // One keyframe: it eases back to the stylesheet's look by itself
+            event.element.view.animate([
+                { textShadow: '0 0 30px #ff0080, 0 0 60px #ff0080', color: '#ff0080' }
+            ], { duration: 1200, easing: 'ease-out' });
+        });
+        
+        function draw() {
+            sim.elements.forEach(element => {
+                const x = element.body.position.x + element.offsetX - element.width / 2;
+                const y = element.body.position.y + element.offsetY - element.height / 2;
+                element.view.style.transform = 'translate(' + x + 'px, ' + y + 'px)';
+            });
+        }
+        
+        let frame = null;
+        let lastTime = null;
+        
+        function animate(currentTime) {
+            // Cap the first frame after a pause or a hidden tab
+            const deltaTime = lastTime === null ? 0 : Math.min(currentTime - lastTime, 100);
+            lastTime = currentTime;
+            
+            const slow = reducedMotion && reducedMotion.matches;
+            sim.advance(slow ? deltaTime * REDUCED_MOTION_SPEED : deltaTime);
+            draw();
+            frame = requestAnimationFrame(animate);
+        }
+        
+        sim.createElement();
+        
+        return {
+            sim: sim,
+            start: function() {
+                if (frame === null) frame = requestAnimationFrame(animate);
+            },
+            stop: function() {
+                if (frame !== null) cancelAnimationFrame(frame);
+                frame = null;
+                lastTime = null;
+            },
+            resize: function(nextWidth, nextHeight) {
+                sim.resize(nextWidth, nextHeight);
+                draw();
+            }
+        };
+    }
+    
+    class AdlaiBouncer extends HTMLElement {
+        static get observedAttributes() {
+            return ['text'].concat(Object.keys(ATTRIBUTES));
+        }
+        
+        constructor() {
+            super();
+            const style = document.createElement('style');
+            style.textContent = STYLE;
+            this.attachShadow({ mode: 'open' }).appendChild(style);
+            
+            this.config = Simulation.defaultConfig();
+            this.bouncer = null;
+            
+            // The playfield is the element's content box; the simulation starts
+            // once it has one
+            this.resizeObserver = new ResizeObserver(entries => {
+                const box = entries[entries.length - 1].contentRect;
+                if (box.width === 0 || box.height === 0) return;
+                
+                if (!this.bouncer) {
+                    this.bouncer = createBouncer(this.shadowRoot, this.config, box.width, box.height,
+                        () => this.getAttribute('text') || DEFAULT_TEXT);
+                    this.bouncer.start();
+                } else {
+                    this.bouncer.resize(box.width, box.height);
+                }
+            });
+        }
+        
+        connectedCallback() {
+            this.resizeObserver.observe(this);
+            if (this.bouncer) this.bouncer.start();
+        }
+        
+        disconnectedCallback() {
+            this.resizeObserver.disconnect();
+            if (this.bouncer) this.bouncer.stop();
+        }
+        
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (name === 'text') {
+                // Start over so every element shows the new text
+                if (this.bouncer && oldValue !== newValue) this.bouncer.sim.resetAllElements();
+                return;
+            }
+            
+            const key = ATTRIBUTES[name];
+            const value = newValue === null
+                ? Simulation.CONFIG_SCHEMA[key].default
+                : parseAttribute(key, newValue);
+            if (value === undefined || value === this.config[key]) return;
+            
+            const previous = this.config[key];
+            this.config[key] = value;
+            if (this.bouncer) this.bouncer.sim.applyConfigChange(key, previous);
+        }
+        
+        // The running simulation (null until the element has a size)
+        get simulation() {
+            return this.bouncer ? this.bouncer.sim : null;
+        }
+    }
+    
+    if (!customElements.get('adlai-bouncer')) {
+        customElements.define('adlai-bouncer', AdlaiBouncer);
+    }
+})();
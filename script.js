@@ -11,781 +11,4032 @@
     const text = document.getElementById('bouncingText');
     if (!text) return; // Exit if element not found
     
-    // Matter.js modules
-    const Engine = Matter.Engine,
-          World = Matter.World,
-          Bodies = Matter.Bodies,
-          Body = Matter.Body,
-          Events = Matter.Events;
-    
-    // Create engine and world
-    const engine = Engine.create();
-    const world = engine.world;
-    
-    // Disable gravity for DVD-style bouncing
-    engine.world.gravity.y = 0;
-    engine.world.gravity.x = 0;
-    
-    // Configure engine for immediate collision response (no sliding)
-    engine.constraintIterations = 4;  // More iterations for stable collisions
-    engine.velocityIterations = 6;    // More velocity iterations
-    engine.positionIterations = 8;    // More position iterations
-    
-    // Set collision tolerance to zero for immediate response
-    world.bodies.forEach(body => {
-        if (body.slop !== undefined) body.slop = 0;
-    });
-    
-    // Constant velocity for DVD-style bouncing
-    const CONSTANT_SPEED = 3;
-    
-    // Size scaling for new elements - CHANGE THIS VALUE TO ADJUST SCALING:
-    // 0.9 = 10% smaller each time
-    // 0.8 = 20% smaller each time  
-    // 0.95 = 5% smaller each time
-    const SCALE_FACTOR = 0.97;
-    
-    // Corner detection sensitivity - CHANGE THIS VALUE TO ADJUST CORNER DETECTION:
-    // 30 = very strict (classic DVD behavior - rare corner hits)
-    // 50 = strict (occasional corner hits)
-    // 70 = moderate (more frequent corner hits)
-    // 100 = frequent corner hits
-    const CORNER_THRESHOLD = 100;
-    
-    // Text collision height ratio - CHANGE THIS TO ADJUST VERTICAL COLLISION BOUNDARIES:
-    // 0.7 = collision boundary is 70% of font height (tight to actual text pixels)
-    // 0.8 = slightly more generous vertical collision
-    // 1.0 = use full font height (includes extra spacing above/below)
-    const TEXT_HEIGHT_RATIO = 0.7;
-    
-    // Debug logging - CHANGE TO true TO SEE DETECTION DETAILS:
-    const DEBUG_CORNER_DETECTION = false;
-    
-    // Wall collision cooldown - CHANGE THIS TO ADJUST DOUBLE BOUNCE PREVENTION:
-    // 100ms = default (prevents most double bounces)
-    // 50ms = more sensitive (allows faster re-bounces)
-    // 200ms = very conservative (longer cooldown)
-    const WALL_COOLDOWN_MS = 100;
-    
-    // Global collision processing flag to prevent ghost bounces
-    let isProcessingCollisions = false;
-    
-    // Maximum elements before reset - CHANGE THIS TO ADJUST RESET POINT:
-    // 100 = current (resets when 100 elements reached)
-    // 20 = previous default
-    // 10 = more frequent resets
-    // 50 = less frequent resets
-    const MAX_ELEMENTS = 100;
-    
-    // Manual trigger clicks/taps - CHANGE THIS TO ADJUST MANUAL TRIGGER:
-    // 2 = current (2 clicks/taps to trigger manually)
-    // 3 = previous (3 clicks/taps to trigger manually)
-    // 5 = original (5 clicks/taps to trigger)
-    // 1 = single click/tap triggers
-    const MANUAL_TRIGGER_COUNT = 2;
-    
-    // Window dimensions
-    let windowWidth = window.innerWidth;
-    let windowHeight = window.innerHeight;
-    
-    // Array to store bouncing elements with their Matter.js bodies
-    let bouncingElements = [];
-    
-    // Track stuck pattern detection
-    function detectStuckPattern(element) {
-        const body = element.body;
-        const currentPos = { x: body.position.x, y: body.position.y };
-        const currentTime = Date.now();
-        
-        // Initialize position history if not exists
-        if (!element.positionHistory) {
-            element.positionHistory = [];
-        }
-        
-        // Add current position
-        element.positionHistory.push({
-            pos: currentPos,
-            time: currentTime
-        });
-        
-        // Keep only last 20 frames (~0.33 seconds at 60fps)
-        if (element.positionHistory.length > 20) {
-            element.positionHistory.shift();
-        }
-        
-        // Check for stuck pattern (start checking after just 10 frames)
-        if (element.positionHistory.length >= 10) {
-            const recent = element.positionHistory.slice(-5);  // Last 5 frames
-            const older = element.positionHistory.slice(-10, -5); // 5 frames before that
-            
-            // Calculate average positions for both periods
-            const recentAvg = {
-                x: recent.reduce((sum, p) => sum + p.pos.x, 0) / recent.length,
-                y: recent.reduce((sum, p) => sum + p.pos.y, 0) / recent.length
-            };
-            
-            const olderAvg = {
-                x: older.reduce((sum, p) => sum + p.pos.x, 0) / older.length,
-                y: older.reduce((sum, p) => sum + p.pos.y, 0) / older.length
-            };
-            
-            // Check if element is stuck in small area
-            const distance = Math.sqrt(
-                Math.pow(recentAvg.x - olderAvg.x, 2) + 
-                Math.pow(recentAvg.y - olderAvg.y, 2)
-            );
-            
-            // More sensitive detection: if moving less than 25 pixels on average, probably stuck
-            if (distance < 25) {
-                // Additional check: look at velocity direction consistency (pure vertical/horizontal)
-                const velocity = body.velocity;
-                const velAngle = Math.atan2(velocity.y, velocity.x);
-                const normalizedAngle = ((velAngle % (Math.PI * 2)) + (Math.PI * 2)) % (Math.PI * 2);
-                
-                // Check if too close to pure vertical movement (stuck bouncing up/down)
-                const isNearVertical = Math.abs(normalizedAngle - Math.PI/2) < 0.2 || 
-                                     Math.abs(normalizedAngle - 3*Math.PI/2) < 0.2;
-                
-                if (isNearVertical || distance < 15) {
-                    if (DEBUG_CORNER_DETECTION) {
-                        console.log('Detected stuck element quickly, applying random nudge');
-                    }
-                    const randomAngle = Math.random() * Math.PI * 2;
-                    Body.setVelocity(body, {
-                        x: Math.cos(randomAngle) * CONSTANT_SPEED,
-                        y: Math.sin(randomAngle) * CONSTANT_SPEED
-                    });
-                    element.positionHistory = []; // Reset history
-                    return true;
-                }
-            }
+    // Physics lives in the DOM-free core (simulation.js); this file renders it
+    // into the page and handles settings and input
+    const Simulation = window.AdlaiSimulation;
+    
+    // Named colour themes: the background gradient (and the solid colour behind
+    // it), the text colour and glow, the corner-hit flash, and the palette used
+    // by the 'classic' and 'generation' element colour modes
+    const THEMES = {
+        neon: {
+            gradient: ['#2c1810', '#4a148c', '#1a237e', '#2c1810'],
+            base: '#1a1a1a',
+            text: '#ffffff',
+            glow: '#ffffff',
+            flash: '#ff0080',
+            palette: ['#ff0080', '#00e5ff', '#ffea00', '#76ff03', '#d500f9', '#ff6d00']
+        },
+        classic: {
+            gradient: ['#000000', '#050505', '#000000', '#000000'],
+            base: '#000000',
+            text: '#ffffff',
+            glow: '#ffffff',
+            flash: '#ff0000',
+            palette: ['#ff0000', '#00ff00', '#0000ff', '#ffff00', '#ff00ff', '#00ffff', '#ff8000']
+        },
+        ocean: {
+            gradient: ['#001f3f', '#0074d9', '#003366', '#001f3f'],
+            base: '#001a33',
+            text: '#e0f7ff',
+            glow: '#7fdbff',
+            flash: '#39cccc',
+            palette: ['#7fdbff', '#39cccc', '#3d9970', '#b3e5fc', '#80cbc4', '#4dd0e1']
+        },
+        sunset: {
+            gradient: ['#3d0c02', '#c0392b', '#f39c12', '#3d0c02'],
+            base: '#2b0a02',
+            text: '#fff4e0',
+            glow: '#ffcc80',
+            flash: '#ffeb3b',
+            palette: ['#ffeb3b', '#ff9800', '#ff5722', '#f48fb1', '#ffcc80', '#ffab91']
+        },
+        mono: {
+            gradient: ['#111111', '#333333', '#222222', '#111111'],
+            base: '#111111',
+            text: '#e0e0e0',
+            glow: '#ffffff',
+            flash: '#ffffff',
+            palette: ['#ffffff', '#bdbdbd', '#9e9e9e', '#e0e0e0', '#757575']
         }
-        return false;
-    }
+    };
     
-    // Corner hit tracking
-    let cornerHits = 0;
-    let isFlashing = false;
+    // Tuning configuration - the simulation's settings plus the page's own. Each
+    // value starts from its default and can be overridden (lowest to highest priority) by:
+    //   1. data-* attributes on #bouncingText, e.g. data-speed="5", or a JSON
+    //      data-config attribute, e.g. data-config='{"speed": 5, "max": 20}'
+    //   2. values saved from the settings panel (localStorage)
+    //   3. URL query parameters, e.g. ?speed=5&max=20&debug=1
+    // Values outside min/max are clamped, unparseable values are ignored.
+    const CONFIG_SCHEMA = Object.assign({}, Simulation.CONFIG_SCHEMA, {
+        // Manual trigger clicks/taps:
+        // 2 = current (2 clicks/taps to trigger manually)
+        // 3 = previous (3 clicks/taps to trigger manually)
+        // 5 = original (5 clicks/taps to trigger)
+        // 1 = single click/tap triggers
+        MANUAL_TRIGGER_COUNT: {
+            param: 'clicks', label: 'Clicks to trigger', type: 'integer',
+            min: 1, max: 10, step: 1, default: 2
+        },
+        // How elements are drawn:
+        // auto = DOM for small scenes, canvas for large monitors or many elements
+        // dom = one positioned div per element
+        // canvas = everything drawn on a single canvas
+        RENDERER: {
+            param: 'renderer', label: 'Renderer', type: 'choice',
+            options: ['auto', 'dom', 'canvas'], default: 'auto'
+        },
+        // Labels - comma-separated text, emoji or img:URL logos, each optionally
+        // weighted with *N (e.g. "adlai.net*3, 🚀, img:logo.svg")
+        LABELS: {
+            param: 'labels', label: 'Labels', type: 'text',
+            default: 'adlai.net'
+        },
+        // Which label the next element shows: 'random' (by weight) or 'sequence'
+        LABEL_ORDER: {
+            param: 'order', label: 'Label order', type: 'choice',
+            options: ['random', 'sequence'], default: 'random'
+        },
+        // Colour theme (see THEMES)
+        THEME: {
+            param: 'theme', label: 'Theme', type: 'choice',
+            options: Object.keys(THEMES), default: 'neon'
+        },
+        // Element colours:
+        // theme = every element in the theme's text colour
+        // classic = like the DVD logo, each wall bounce switches to the next palette colour
+        // generation = each element gets its own hue, by the order it spawned in
+        ELEMENT_COLORS: {
+            param: 'colors', label: 'Element colors', type: 'choice',
+            options: ['theme', 'classic', 'generation'], default: 'theme'
+        },
+        // Reduced motion - 'system' follows the prefers-reduced-motion setting.
+        // Slows the bouncing, softens the corner flash and stops the background turning.
+        REDUCED_MOTION: {
+            param: 'motion', label: 'Reduced motion', type: 'choice',
+            options: ['system', 'on', 'off'], default: 'system', personal: true
+        },
+        // Screensaver mode: leave it on any key, click, touch or mouse movement
+        SCREENSAVER_EXIT_ON_INPUT: {
+            param: 'exitOnInput', label: 'Screensaver exits on input', type: 'boolean',
+            default: false, personal: true
+        },
+        // Statistics overlay - corner hits, resets and peak element counts for
+        // this session and all time (saved in localStorage)
+        STATS_OVERLAY: {
+            param: 'stats', label: 'Statistics', type: 'boolean',
+            default: false, personal: true
+        },
+        // Sound effects - muting is remembered like any other setting
+        SOUND_MUTED: {
+            param: 'mute', label: 'Mute sound', type: 'boolean',
+            default: false, personal: true
+        },
+        SOUND_VOLUME: {
+            param: 'volume', label: 'Volume', type: 'number',
+            min: 0, max: 1, step: 0.05, default: 0.5, personal: true
+        },
+        // Corner forecast overlay - draws each element's projected path and a
+        // countdown to its next predicted corner hit
+        FORECAST_OVERLAY: {
+            param: 'forecast', label: 'Corner forecast', type: 'boolean',
+            default: false
+        },
+        // Shared playfield - open this page (e.g. ?shared=1) in several windows side
+        // by side and they join into one playfield that elements move across
+        SHARED_PLAYFIELD: {
+            param: 'shared', label: 'Share playfield across windows', type: 'boolean',
+            default: false, personal: true
+        },
+        // Clip recorder - keeps the last few seconds on video and saves a clip
+        // around every corner hit (listed in a gallery, for download)
+        CLIP_RECORDER: {
+            param: 'clips', label: 'Record corner-hit clips', type: 'boolean',
+            default: false, personal: true
+        },
+        // Game mode (see GAME_MODES):
+        // predict = call the corner the next hit lands in
+        // tap = tap elements in the moment before they reach a corner
+        // survival = clear spawns by tapping them before the screen fills up
+        GAME_MODE: {
+            param: 'game', label: 'Game', type: 'choice',
+            options: ['off', 'predict', 'tap', 'survival'], default: 'off', personal: true
+        },
+        // Game difficulty - sets CONSTANT_SPEED and CORNER_THRESHOLD while a game runs
+        GAME_DIFFICULTY: {
+            param: 'difficulty', label: 'Game difficulty', type: 'choice',
+            options: ['easy', 'normal', 'hard'], default: 'normal', personal: true
+        },
+        // Time controls panel - pause, slow motion, frame stepping and rewinding
+        // through the last few seconds (the keys work with the panel hidden too)
+        TIME_CONTROLS: {
+            param: 'timeControls', label: 'Time controls', type: 'boolean',
+            default: false, personal: true
+        },
+        // Debug overlay - collision and visual boxes, velocities, corner zones, walls,
+        // wall cooldowns and trails drawn over the playfield, with a panel of live
+        // timings and an event log (see createDebugOverlay)
+        DEBUG_OVERLAY: {
+            param: 'debugOverlay', label: 'Debug overlay', type: 'boolean',
+            default: false, personal: true
+        }
+    });
     
-    // Manual trigger tracking
-    let clickCount = 0;
-    let clickTimer = null;
+    const CONFIG_STORAGE_KEY = 'adlai.config';
     
-    function preventWallSliding(textBody, wallBody) {
-        // Ensure element doesn't slide along walls - force immediate bounce
-        const pos = textBody.position;
-        const velocity = textBody.velocity;
-        
-        // Get element dimensions
-        const element = bouncingElements.find(el => el.body === textBody);
-        if (!element) return;
+    // Convert a raw value (string from URL/attributes, or JSON value) to the
+    // schema type. Returns undefined if the value can't be used.
+    function parseConfigValue(key, raw) {
+        const spec = CONFIG_SCHEMA[key];
         
-        // Use collision dimensions for wall bouncing calculations
-        const halfWidth = element.collisionWidth / 2;
-        const halfHeight = element.collisionHeight / 2;
+        if (spec.type === 'choice') {
+            if (spec.options.indexOf(String(raw)) !== -1) return String(raw);
+            console.warn('Ignoring invalid value for ' + key + ':', raw, '(expected one of ' + spec.options.join(', ') + ')');
+            return undefined;
+        }
         
-        // Correct position to prevent wall penetration and sliding
-        let correctedX = pos.x;
-        let correctedY = pos.y;
+        if (spec.type === 'text') {
+            const value = String(raw).trim();
+            if (value !== '') return value;
+            console.warn('Ignoring empty value for ' + key);
+            return undefined;
+        }
         
-        if (wallBody.label === 'wall-left') {
-            correctedX = Math.max(halfWidth, pos.x);
-            if (velocity.x < 0) Body.setVelocity(textBody, { x: -velocity.x, y: velocity.y });
-        } else if (wallBody.label === 'wall-right') {
-            correctedX = Math.min(windowWidth - halfWidth, pos.x);
-            if (velocity.x > 0) Body.setVelocity(textBody, { x: -velocity.x, y: velocity.y });
-        } else if (wallBody.label === 'wall-top') {
-            correctedY = Math.max(halfHeight, pos.y);
-            if (velocity.y < 0) Body.setVelocity(textBody, { x: velocity.x, y: -velocity.y });
-        } else if (wallBody.label === 'wall-bottom') {
-            correctedY = Math.min(windowHeight - halfHeight, pos.y);
-            if (velocity.y > 0) Body.setVelocity(textBody, { x: velocity.x, y: -velocity.y });
+        if (spec.type === 'boolean') {
+            if (raw === true || raw === 'true' || raw === '1' || raw === 1 || raw === '') return true;
+            if (raw === false || raw === 'false' || raw === '0' || raw === 0) return false;
+            console.warn('Ignoring invalid value for ' + key + ':', raw);
+            return undefined;
         }
         
-        // Apply position correction if needed
-        if (correctedX !== pos.x || correctedY !== pos.y) {
-            Body.setPosition(textBody, { x: correctedX, y: correctedY });
+        let value = typeof raw === 'number' ? raw : parseFloat(raw);
+        if (!isFinite(value)) {
+            console.warn('Ignoring invalid value for ' + key + ':', raw);
+            return undefined;
+        }
+        if (spec.type === 'integer') {
+            value = Math.round(value);
         }
+        if (value < spec.min || value > spec.max) {
+            const clamped = Math.max(spec.min, Math.min(value, spec.max));
+            console.warn(`${key} must be between ${spec.min} and ${spec.max}, using ${clamped}`);
+            value = clamped;
+        }
+        return value;
     }
     
-    function normalizeVelocity(body, addAngleVariation = false) {
-        // Get current velocity
-        const velocity = body.velocity;
-        const currentSpeed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
-        
-        // If velocity is zero or very small, give it a random direction
-        if (currentSpeed < 0.1) {
-            const angle = Math.random() * Math.PI * 2;
-            Body.setVelocity(body, {
-                x: Math.cos(angle) * CONSTANT_SPEED,
-                y: Math.sin(angle) * CONSTANT_SPEED
-            });
-        } else {
-            // Get current angle
-            let angle = Math.atan2(velocity.y, velocity.x);
-            
-            // Add slight random variation to prevent stuck patterns
-            if (addAngleVariation) {
-                const variation = (Math.random() - 0.5) * 0.3; // ±0.15 radians (~±8.6 degrees)
-                angle += variation;
-            }
+    // Look up a key in a source object by either its constant name or its short param name
+    function readConfigSource(source, apply) {
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            const param = CONFIG_SCHEMA[key].param;
+            const raw = source[param] !== undefined ? source[param] : source[key];
+            if (raw === undefined || raw === null) return;
             
-            // Prevent perfectly vertical or horizontal movement
-            const minAngleFromAxes = 0.1; // ~5.7 degrees
-            const normalizedAngle = ((angle % (Math.PI * 2)) + (Math.PI * 2)) % (Math.PI * 2);
-            
-            if (Math.abs(normalizedAngle) < minAngleFromAxes || 
-                Math.abs(normalizedAngle - Math.PI) < minAngleFromAxes) {
-                // Too close to horizontal, adjust
-                angle += (Math.random() > 0.5 ? 1 : -1) * minAngleFromAxes;
-            } else if (Math.abs(normalizedAngle - Math.PI/2) < minAngleFromAxes || 
-                       Math.abs(normalizedAngle - 3*Math.PI/2) < minAngleFromAxes) {
-                // Too close to vertical, adjust
-                angle += (Math.random() > 0.5 ? 1 : -1) * minAngleFromAxes;
-            }
-            
-            // Set velocity with constant speed and adjusted angle
-            Body.setVelocity(body, {
-                x: Math.cos(angle) * CONSTANT_SPEED,
-                y: Math.sin(angle) * CONSTANT_SPEED
-            });
+            const value = parseConfigValue(key, raw);
+            if (value !== undefined) apply(key, value);
+        });
+    }
+    
+    function readStoredConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) || {};
+        } catch (e) {
+            return {}; // Storage disabled or corrupt - fall back to defaults
         }
     }
     
-    function updateDimensions() {
-        const oldWidth = windowWidth;
-        const oldHeight = windowHeight;
-        windowWidth = window.innerWidth;
-        windowHeight = window.innerHeight;
+    // Shared scene links carry the seed and starting state in the URL hash, e.g.
+    // #seed=12345&w=1280&h=720&fs=60&speed=5 (see buildShareLink). w/h/fs pin the
+    // playfield and base font size so the scene matches on a different screen.
+    function readSceneHash() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        if (!params.has('seed')) return null;
         
-        // Update world boundaries if dimensions changed
-        if (oldWidth !== windowWidth || oldHeight !== windowHeight) {
-            updateWorldBoundaries();
-        }
-    }
-    
-    function updateWorldBoundaries() {
-        // Remove old boundaries
-        const bodiesToRemove = world.bodies.filter(body => body.isStatic && body.label.includes('wall'));
-        World.remove(world, bodiesToRemove);
-        
-        // Create new boundaries - positioned exactly at screen edges with thick walls
-        const wallThickness = 100; // Thicker walls to prevent sliding
-        const walls = [
-            // Top wall - positioned so its bottom edge is at y=0
-            Bodies.rectangle(windowWidth / 2, -wallThickness / 2, windowWidth + wallThickness * 2, wallThickness, { 
-                isStatic: true, 
-                label: 'wall-top',
-                restitution: 1, // Perfect bounce
-                friction: 0,    // No sliding friction
-                frictionStatic: 0
-            }),
-            // Bottom wall - positioned so its top edge is at y=windowHeight
-            Bodies.rectangle(windowWidth / 2, windowHeight + wallThickness / 2, windowWidth + wallThickness * 2, wallThickness, { 
-                isStatic: true, 
-                label: 'wall-bottom',
-                restitution: 1,
-                friction: 0,
-                frictionStatic: 0
-            }),
-            // Left wall - positioned so its right edge is at x=0
-            Bodies.rectangle(-wallThickness / 2, windowHeight / 2, wallThickness, windowHeight + wallThickness * 2, { 
-                isStatic: true, 
-                label: 'wall-left',
-                restitution: 1,
-                friction: 0,
-                frictionStatic: 0
-            }),
-            // Right wall - positioned so its left edge is at x=windowWidth
-            Bodies.rectangle(windowWidth + wallThickness / 2, windowHeight / 2, wallThickness, windowHeight + wallThickness * 2, { 
-                isStatic: true, 
-                label: 'wall-right',
-                restitution: 1,
-                friction: 0,
-                frictionStatic: 0
-            })
-        ];
+        const seed = parseInt(params.get('seed'), 10);
+        if (!isFinite(seed)) {
+            console.warn('Ignoring invalid scene seed:', params.get('seed'));
+            return null;
+        }
+        
+        const width = parseFloat(params.get('w'));
+        const height = parseFloat(params.get('h'));
+        const fontSize = parseFloat(params.get('fs'));
+        const isPinned = width > 0 && height > 0 && fontSize > 0;
+        
+        const query = {};
+        params.forEach((value, name) => {
+            query[name] = value;
+        });
         
-        World.add(world, walls);
+        return {
+            seed: seed >>> 0,
+            width: isPinned ? width : null,
+            height: isPinned ? height : null,
+            fontSize: isPinned ? fontSize : null,
+            params: query
+        };
     }
     
-    function createElement(x = null, y = null, spawnFromTop = false, enableFadeIn = false) {
-        // Calculate scale for new element (each one gets progressively smaller)
-        const elementScale = Math.pow(SCALE_FACTOR, bouncingElements.length);
-        
-        // Create new DOM element
-        const newElement = document.createElement('div');
-        newElement.className = 'bouncing-text';
-        newElement.textContent = 'adlai.net';
+    const scene = readSceneHash();
+    
+    function loadConfig() {
+        const values = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            values[key] = CONFIG_SCHEMA[key].default;
+        });
+        const set = (key, value) => { values[key] = value; };
         
-        // Apply scaling to font size
-        // First get the base font size that would apply to this element
-        document.body.appendChild(newElement); // Temporarily add to get computed style
-        const computedStyle = window.getComputedStyle(newElement);
-        const baseFontSizeNum = parseFloat(computedStyle.fontSize);
-        document.body.removeChild(newElement); // Remove temporarily
+        // A shared scene replaces every other source so it plays back exactly as recorded
+        if (scene) {
+            readConfigSource(scene.params, set);
+            values.FIXED_TIMESTEP = true;
+            return values;
+        }
         
-        // Apply scaling
-        const scaledFontSize = baseFontSizeNum * elementScale;
-        newElement.style.fontSize = scaledFontSize + 'px';
+        // 1. data-* attributes
+        if (text.dataset.config) {
+            try {
+                readConfigSource(JSON.parse(text.dataset.config), set);
+            } catch (e) {
+                console.warn('Ignoring invalid data-config JSON:', e.message);
+            }
+        }
+        readConfigSource(text.dataset, set);
         
-        document.body.appendChild(newElement);
+        // 2. Saved settings
+        readConfigSource(readStoredConfig(), set);
         
-        // Apply fade-in animation if enabled
-        if (spawnFromTop || enableFadeIn) {
-            // Start invisible and fade in
-            newElement.style.opacity = '0';
-            newElement.style.transition = 'opacity 1s ease-in';
-            
-            // Trigger fade-in after a brief delay
-            setTimeout(() => {
-                newElement.style.opacity = '1';
-            }, 10);
-            
-            // Clean up transition after animation
-            setTimeout(() => {
-                newElement.style.transition = 'none';
-            }, 1100);
-        }
-        
-        // Get dimensions after adding to DOM and applying scale
-        const rect = newElement.getBoundingClientRect();
-        
-        // Calculate tighter collision bounds for text
-        // Font has extra space above/below that we don't want in collision detection
-        const actualTextHeight = rect.height * TEXT_HEIGHT_RATIO;
-        const textWidth = rect.width;
-        
-        // Set initial position with safe bounds
-        let initX = x !== null ? x : windowWidth / 2;
-        let initY = y !== null ? y : windowHeight / 2;
-        
-        // Ensure spawn position is not too close to edges (using actual collision size)
-        const marginX = textWidth / 2 + 10;
-        const marginY = actualTextHeight / 2 + 10;
-        initX = Math.max(marginX, Math.min(initX, windowWidth - marginX));
-        initY = Math.max(marginY, Math.min(initY, windowHeight - marginY));
-        
-        // Create Matter.js body with tighter height
-        const body = Bodies.rectangle(initX, initY, textWidth, actualTextHeight, {
-            frictionAir: 0,      // No air resistance
-            friction: 0,         // No surface friction with other elements
-            frictionStatic: 0,   // No static friction
-            restitution: 1,      // Perfect bounce (no energy loss)
-            density: 1,
-            label: 'text-element',
-            inertia: Infinity,   // Prevent rotation
-            slop: 0             // No collision tolerance - immediate response
+        // 3. URL query parameters
+        const query = {};
+        new URLSearchParams(window.location.search).forEach((value, name) => {
+            query[name] = value;
         });
+        readConfigSource(query, set);
         
-        // Set initial velocity with constant speed
-        let angle;
-        if (spawnFromTop) {
-            // For elements spawning from top, give them a downward trajectory
-            // Angle between 45° and 135° (π/4 to 3π/4) for downward motion
-            angle = Math.PI/4 + Math.random() * Math.PI/2;
+        return values;
+    }
+    
+    const config = loadConfig();
+    
+    const REDUCED_MOTION_SPEED = 0.25; // Time scale while reduced motion is on
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    
+    function isReducedMotion() {
+        if (config.REDUCED_MOTION !== 'system') return config.REDUCED_MOTION === 'on';
+        return reducedMotionQuery !== null && reducedMotionQuery.matches;
+    }
+    
+    // The stylesheet stops the rotating background for body.reduced-motion
+    function applyReducedMotion() {
+        document.body.classList.toggle('reduced-motion', isReducedMotion());
+    }
+    applyReducedMotion();
+    
+    if (reducedMotionQuery) {
+        if (reducedMotionQuery.addEventListener) {
+            reducedMotionQuery.addEventListener('change', applyReducedMotion);
         } else {
-            // Random direction for initial element
-            angle = Math.random() * Math.PI * 2;
+            reducedMotionQuery.addListener(applyReducedMotion); // Older Safari
         }
-        Body.setVelocity(body, {
-            x: Math.cos(angle) * CONSTANT_SPEED,
-            y: Math.sin(angle) * CONSTANT_SPEED
-        });
+    }
+    
+    const seed = scene ? scene.seed : Math.floor(Math.random() * 4294967296);
+    
+    // Playfield dimensions - the window size, or fixed by a shared scene link
+    const isPinnedScene = scene !== null && scene.width !== null;
+    let windowWidth = isPinnedScene ? scene.width : window.innerWidth;
+    let windowHeight = isPinnedScene ? scene.height : window.innerHeight;
+    
+    // Container for the bouncing elements. It covers the window, or for a pinned
+    // scene is sized to the original playfield and scaled to fit (see fitStage).
+    const stage = document.createElement('div');
+    stage.className = 'stage';
+    stage.setAttribute('aria-hidden', 'true'); // #bouncingText is the accessible label
+    document.body.appendChild(stage);
+    let stageScale = 1;
+    
+    function fitStage() {
+        if (!isPinnedScene) return;
         
-        // Create element object
-        const elementObj = {
-            element: newElement,
-            body: body,
-            width: textWidth,           // Visual width (same as collision width)
-            height: rect.height,        // Visual height (full font height)
-            collisionWidth: textWidth,  // Collision width
-            collisionHeight: actualTextHeight, // Collision height (tighter)
-            scale: elementScale, // Track the scale of this element
-            lastWallCollision: null, // Track for corner detection
-            wallCooldown: {}, // Prevent multiple bounces from same wall
-            lastCollisionTime: 0 // Track last collision time
-        };
+        stageScale = Math.min(window.innerWidth / windowWidth, window.innerHeight / windowHeight);
+        const offsetX = (window.innerWidth - windowWidth * stageScale) / 2;
+        const offsetY = (window.innerHeight - windowHeight * stageScale) / 2;
+        stage.style.width = windowWidth + 'px';
+        stage.style.height = windowHeight + 'px';
+        stage.style.transform = 'translate(' + offsetX + 'px, ' + offsetY + 'px) scale(' + stageScale + ')';
+    }
+    fitStage();
+    
+    // Base (unscaled) font size for new elements - from the stylesheet's responsive
+    // sizes, or the recorded size for a pinned scene. Cached until the window resizes.
+    let baseFontSize = null;
+    
+    function getBaseFontSize() {
+        if (isPinnedScene) return scene.fontSize;
         
-        // Add body to world
-        World.add(world, body);
+        if (baseFontSize === null) {
+            const probe = document.createElement('div');
+            probe.className = 'bouncing-text';
+            document.body.appendChild(probe); // Temporarily add to get computed style
+            baseFontSize = parseFloat(window.getComputedStyle(probe).fontSize);
+            document.body.removeChild(probe); // Remove temporarily
+        }
+        return baseFontSize;
+    }
+    
+    const NEAR_MISS_FLASH_STRENGTH = 0.4; // Near misses get a fainter flash than corner hits
+    
+    function currentTheme() {
+        return THEMES[config.THEME];
+    }
+    
+    // '#rrggbb' to [r, g, b, alpha]
+    function parseColor(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255, alpha === undefined ? 1 : alpha];
+    }
+    
+    function rgba(color) {
+        return 'rgba(' + Math.round(color[0]) + ', ' + Math.round(color[1]) + ', ' + Math.round(color[2]) + ', ' + color[3] + ')';
+    }
+    
+    // Hue in degrees to '#rrggbb' at a fixed, bright saturation and lightness
+    function hueColor(hue) {
+        const s = 0.8;
+        const l = 0.65;
+        const channel = n => {
+            const k = (n + hue / 30) % 12;
+            const value = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255).toString(16).padStart(2, '0');
+        };
+        return '#' + channel(0) + channel(8) + channel(4);
+    }
+    
+    // Theme colours reach the stylesheet (background, text glow) through custom properties
+    function applyTheme() {
+        const theme = currentTheme();
+        const root = document.documentElement.style;
+        root.setProperty('--theme-gradient', 'linear-gradient(45deg, ' + theme.gradient.join(', ') + ')');
+        root.setProperty('--theme-base', theme.base);
+        root.setProperty('--theme-text', theme.text);
+        root.setProperty('--theme-glow', rgba(parseColor(theme.glow, 0.3)));
         
-        // Add to array
-        bouncingElements.push(elementObj);
+        const themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor) themeColor.setAttribute('content', theme.gradient[1]);
+    }
+    applyTheme();
+    
+    // Per-element colour state: the spawn generation and the number of wall bounces
+    const elementColorState = new WeakMap();
+    
+    function elementColor(element) {
+        const theme = currentTheme();
+        const state = elementColorState.get(element);
+        if (!state || config.ELEMENT_COLORS === 'theme') return theme.text;
         
-        if (DEBUG_CORNER_DETECTION) {
-            console.log('Created new element. Total elements:', bouncingElements.length, 'Scale:', elementScale.toFixed(2));
+        if (config.ELEMENT_COLORS === 'classic') {
+            return theme.palette[(state.generation + state.bounces) % theme.palette.length];
         }
-        return elementObj;
+        // Golden-angle steps keep neighbouring generations far apart on the colour wheel
+        return hueColor((state.generation * 137.508) % 360);
     }
+    const LOGO_HEIGHT_RATIO = 1.2; // Logos are drawn as tall as a line of text
     
-    // Set up collision detection for corner hits and velocity normalization
-    Events.on(engine, 'collisionStart', function(event) {
-        const pairs = event.pairs;
-        
-        for (let i = 0; i < pairs.length; i++) {
-            const pair = pairs[i];
-            const { bodyA, bodyB } = pair;
-            
-            // Find text elements in the collision
-            const textBodyA = bodyA.label === 'text-element' ? bodyA : null;
-            const textBodyB = bodyB.label === 'text-element' ? bodyB : null;
-            const wallBody = bodyA.label.includes('wall') ? bodyA : 
-                           bodyB.label.includes('wall') ? bodyB : null;
-            
-            // Normalize velocity for any text element involved in collision
-            // Add angle variation for wall collisions to prevent stuck patterns
-            if (textBodyA) {
-                const elementA = bouncingElements.find(el => el.body === textBodyA);
-                const isWallCollision = wallBody !== null;
-                
-                if (isWallCollision && elementA) {
-                    // Check cooldown to prevent double bounces
-                    const currentTime = Date.now();
-                    const wallLabel = wallBody.label;
-                    
-                    if (!elementA.wallCooldown[wallLabel] || 
-                        currentTime - elementA.wallCooldown[wallLabel] > WALL_COOLDOWN_MS) {
-                        
-                        if (DEBUG_CORNER_DETECTION) {
-                            console.log('Wall bounce:', wallLabel, 'element A');
-                        }
-                        elementA.wallCooldown[wallLabel] = currentTime;
-                        // Add small delay to prevent conflict with Matter.js collision response
-                        setTimeout(() => {
-                            preventWallSliding(textBodyA, wallBody);
-                            normalizeVelocity(textBodyA, isWallCollision);
-                        }, 8);
-                    } else if (DEBUG_CORNER_DETECTION) {
-                        console.log('Blocked double bounce:', wallLabel, 'element A');
-                    }
-                } else if (!isWallCollision) {
-                    // Longer delay for element-to-element collisions to prevent ghost bounces
-                    setTimeout(() => normalizeVelocity(textBodyA, isWallCollision), 20);
-                }
-            }
-            if (textBodyB) {
-                const elementB = bouncingElements.find(el => el.body === textBodyB);
-                const isWallCollision = wallBody !== null;
-                
-                if (isWallCollision && elementB) {
-                    // Check cooldown to prevent double bounces
-                    const currentTime = Date.now();
-                    const wallLabel = wallBody.label;
-                    
-                    if (!elementB.wallCooldown[wallLabel] || 
-                        currentTime - elementB.wallCooldown[wallLabel] > WALL_COOLDOWN_MS) {
-                        
-                        if (DEBUG_CORNER_DETECTION) {
-                            console.log('Wall bounce:', wallLabel, 'element B');
-                        }
-                        elementB.wallCooldown[wallLabel] = currentTime;
-                        // Add small delay to prevent conflict with Matter.js collision response
-                        setTimeout(() => {
-                            preventWallSliding(textBodyB, wallBody);
-                            normalizeVelocity(textBodyB, isWallCollision);
-                        }, 8);
-                    } else if (DEBUG_CORNER_DETECTION) {
-                        console.log('Blocked double bounce:', wallLabel, 'element B');
-                    }
-                } else if (!isWallCollision) {
-                    // Longer delay for element-to-element collisions to prevent ghost bounces
-                    setTimeout(() => normalizeVelocity(textBodyB, isWallCollision), 20);
+    // Labels - what each element shows. LABELS is a comma-separated list of text,
+    // emoji or img:URL logos (SVG or bitmap), each optionally weighted with *N,
+    // e.g. "adlai.net*3, 🚀, img:logo.svg".
+    function parseLabels(spec) {
+        return spec.split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry !== '')
+            .map(entry => {
+                let weight = 1;
+                const weighted = /^(.*?)\s*\*\s*(\d+(?:\.\d+)?)$/.exec(entry);
+                if (weighted) {
+                    entry = weighted[1];
+                    weight = parseFloat(weighted[2]);
                 }
-            }
-            
-            // Check for corner hits (text element hitting wall)
-            const textBody = textBodyA || textBodyB;
-            if (textBody && wallBody) {
-                const element = bouncingElements.find(el => el.body === textBody);
-                if (element) {
-                    checkCornerHit(element, wallBody.label);
+                if (entry.indexOf('img:') === 0) {
+                    return { text: null, src: entry.slice(4), weight: weight, image: null, aspect: 1, ink: null };
                 }
-            }
-        }
-    });
+                return { text: entry, src: null, weight: weight };
+            })
+            .filter(label => label.weight > 0);
+    }
     
-    function checkCornerHit(element, wallLabel) {
-        const currentTime = Date.now();
-        const body = element.body;
-        const pos = body.position;
+    // Ink box of an image as fractions of its size, from its non-transparent
+    // pixels. Null if the pixels can't be read (cross-origin) or it's blank.
+    function measureImageInk(image, width, height) {
+        const MAX_SAMPLE_SIZE = 256;
+        const sampleScale = Math.min(1, MAX_SAMPLE_SIZE / Math.max(width, height));
+        const sampleWidth = Math.max(1, Math.round(width * sampleScale));
+        const sampleHeight = Math.max(1, Math.round(height * sampleScale));
         
-        // Check if element is actually near a corner based on position
-        const isNearTopLeft = pos.x < CORNER_THRESHOLD && pos.y < CORNER_THRESHOLD;
-        const isNearTopRight = pos.x > windowWidth - CORNER_THRESHOLD && pos.y < CORNER_THRESHOLD;
-        const isNearBottomLeft = pos.x < CORNER_THRESHOLD && pos.y > windowHeight - CORNER_THRESHOLD;
-        const isNearBottomRight = pos.x > windowWidth - CORNER_THRESHOLD && pos.y > windowHeight - CORNER_THRESHOLD;
+        const canvas = document.createElement('canvas');
+        canvas.width = sampleWidth;
+        canvas.height = sampleHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, sampleWidth, sampleHeight);
         
-        const isNearAnyCorner = isNearTopLeft || isNearTopRight || isNearBottomLeft || isNearBottomRight;
-        
-        // Debug: Log all wall hits for testing
-        if (DEBUG_CORNER_DETECTION) {
-            console.log('Wall hit:', wallLabel, 'at position', pos.x.toFixed(0), pos.y.toFixed(0), 'near corner:', isNearAnyCorner);
+        let data;
+        try {
+            data = ctx.getImageData(0, 0, sampleWidth, sampleHeight).data;
+        } catch (e) {
+            return null; // Tainted canvas - fall back to the whole image
         }
         
-        // STRICT corner detection: Must be BOTH near corner AND hit two different walls quickly
-        if (isNearAnyCorner && 
-            element.lastWallCollision && 
-            element.lastWallCollision.label !== wallLabel &&
-            currentTime - element.lastWallCollision.time < 100 && // Shorter window
-            !isFlashing) {
-            
-            console.log('🎯 RARE CORNER HIT!', element.lastWallCollision.label, '+', wallLabel, 'at', pos.x.toFixed(0), pos.y.toFixed(0));
-            cornerHitEffect(false, element);
+        let minX = sampleWidth, minY = sampleHeight, maxX = -1, maxY = -1;
+        for (let y = 0; y < sampleHeight; y++) {
+            for (let x = 0; x < sampleWidth; x++) {
+                if (data[(y * sampleWidth + x) * 4 + 3] > 16) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
         }
+        if (maxX < 0) return null;
         
-        // Update last wall collision
-        element.lastWallCollision = {
-            label: wallLabel,
-            time: currentTime,
-            position: { x: pos.x, y: pos.y }
+        return {
+            x: minX / sampleWidth,
+            y: minY / sampleHeight,
+            width: (maxX - minX + 1) / sampleWidth,
+            height: (maxY - minY + 1) / sampleHeight
         };
     }
     
-    function resetAllElements() {
-        console.log('🌟 Starting fade-out animation...');
-        
-        // Apply fade-out transition to all elements
-        bouncingElements.forEach(element => {
-            if (element.element) {
-                element.element.style.transition = 'opacity 1s ease-out';
-                element.element.style.opacity = '0';
-            }
+    function loadLabelImage(label) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => {
+                // SVGs without a width/height attribute have no natural size - draw them square
+                const width = image.naturalWidth || 1;
+                const height = image.naturalHeight || 1;
+                label.image = image;
+                label.aspect = width / height;
+                label.ink = measureImageInk(image, width, height);
+                resolve(label);
+            };
+            image.onerror = () => {
+                console.warn('Could not load logo:', label.src);
+                resolve(null);
+            };
+            image.src = label.src;
         });
-        
-        // After fade-out completes, remove elements and create new one
-        setTimeout(() => {
-            // Remove all existing elements from DOM and physics world
-            bouncingElements.forEach(element => {
-                if (element.element && element.element.parentNode) {
-                    element.element.parentNode.removeChild(element.element);
-                }
-                if (element.body) {
-                    World.remove(world, element.body);
-                }
+    }
+    
+    // Parse a LABELS value and load its images. Logos that fail to load are left
+    // out; if nothing is left, fall back to the default label.
+    function loadLabels(spec) {
+        return Promise.all(parseLabels(spec).map(label => label.src ? loadLabelImage(label) : label))
+            .then(loaded => {
+                const usable = loaded.filter(label => label !== null);
+                return usable.length > 0 ? usable : parseLabels(CONFIG_SCHEMA.LABELS.default);
             });
-            
-            // Clear the array
-            bouncingElements = [];
-            
-            // Reset corner hits counter
-            cornerHits = 0;
-            
-            console.log('🎯 Creating new element with fade-in...');
-            // Create first element in center with fade-in
-            createElement(windowWidth / 2, windowHeight / 2, false, true); // false = not from top, true = enable fade-in
-        }, 1000); // Wait for fade-out to complete
     }
     
-    function cornerHitEffect(isManual = false, hitElement = null) {
-        cornerHits++;
-        const hitType = isManual ? 'MANUAL TRIGGER' : 'CORNER HIT';
-        console.log('🎉 ' + hitType + '! #' + cornerHits);
+    let labels = parseLabels(CONFIG_SCHEMA.LABELS.default);
+    let labelIndex = 0; // Next label in 'sequence' order
+    
+    // Choose the label for the next element - by weight using the simulation's
+    // seeded random numbers (so shared scenes replay), or in turn
+    function pickLabel() {
+        if (labels.length === 1) return labels[0];
         
-        // Check if we've reached the limit
-        if (bouncingElements.length >= MAX_ELEMENTS) {
-            console.log(`🔄 Reached ${MAX_ELEMENTS} elements - resetting!`);
-            resetAllElements();
-            return;
+        if (config.LABEL_ORDER === 'sequence') {
+            const label = labels[labelIndex % labels.length];
+            labelIndex++;
+            return label;
+        }
+        
+        const total = labels.reduce((sum, label) => sum + label.weight, 0);
+        let pick = sim.random() * total;
+        for (let i = 0; i < labels.length; i++) {
+            pick -= labels[i].weight;
+            if (pick < 0) return labels[i];
+        }
+        return labels[labels.length - 1];
+    }
+    
+    // Text is measured on a spare canvas in the stage's font
+    const measureContext = document.createElement('canvas').getContext('2d');
+    let labelFontFamily = null;
+    
+    function labelFont(fontSize) {
+        if (labelFontFamily === null) {
+            labelFontFamily = window.getComputedStyle(stage).fontFamily;
+        }
+        return fontSize + 'px ' + labelFontFamily;
+    }
+    
+    function measureText(label, fontSize) {
+        measureContext.font = labelFont(fontSize);
+        return measureContext.measureText(label.text);
+    }
+    
+    // Ink box of a text label within a line box `boxHeight` tall, from the glyphs'
+    // actual bounding box. Undefined where the browser doesn't report it, which
+    // leaves the simulation to use TEXT_HEIGHT_RATIO.
+    function textInkBounds(metrics, boxHeight) {
+        if (metrics.actualBoundingBoxAscent === undefined || metrics.fontBoundingBoxAscent === undefined) {
+            return undefined;
+        }
+        
+        // The font's ascent + descent sits centred in the line box
+        const fontHeight = metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent;
+        const baseline = (boxHeight - fontHeight) / 2 + metrics.fontBoundingBoxAscent;
+        return {
+            x: -metrics.actualBoundingBoxLeft,
+            y: baseline - metrics.actualBoundingBoxAscent,
+            width: metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight,
+            height: metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent
+        };
+    }
+    
+    // Ink box of a logo drawn at width x height (the whole image if unknown)
+    function imageInkBounds(label, width, height) {
+        const ink = label.ink || { x: 0, y: 0, width: 1, height: 1 };
+        return {
+            x: ink.x * width,
+            y: ink.y * height,
+            width: ink.width * width,
+            height: ink.height * height
+        };
+    }
+    
+    // Enter/exit animations named by the simulation's population policies. Each
+    // maps progress (0-1) to the view's opacity and scale; with reduced motion
+    // only the opacity changes.
+    const ANIMATIONS = {
+        fade: {
+            duration: 1000,
+            enter: p => ({ opacity: p * p, scale: 1 }),
+            exit: p => ({ opacity: (1 - p) * (1 - p), scale: 1 })
+        },
+        pop: {
+            duration: 400,
+            enter: p => ({ opacity: p, scale: 0.5 + 0.5 * p }),
+            exit: p => ({ opacity: 1 - p, scale: 1 + 0.5 * p })
+        },
+        shrink: {
+            duration: 500,
+            enter: p => ({ opacity: p, scale: p }),
+            exit: p => ({ opacity: 1 - p * p, scale: 1 - p })
+        },
+        grow: {
+            duration: 600,
+            // Overshoots a little before settling (ease-out-back)
+            enter: p => ({ opacity: Math.min(1, p * 2), scale: 0.6 + 0.4 * (1 + 2.7 * Math.pow(p - 1, 3) + 1.7 * Math.pow(p - 1, 2)) }),
+            exit: p => ({ opacity: 1 - p, scale: 1 + 0.2 * p })
         }
+    };
+    
+    // Opacity and scale for a view's running animation ({ name, direction, start }).
+    // Finished enter animations are cleared; finished exits hold at their last frame.
+    function animationFrame(holder, now) {
+        const animation = holder.animation;
+        if (!animation) return { opacity: 1, scale: 1 };
         
-        // Create new element dropping from the top
-        let spawnX, spawnY;
-        if (hitElement && !isManual) {
-            // For corner hits, spawn at top and drop down
-            spawnX = windowWidth / 2;
-            spawnY = 50; // Near top of screen
+        const spec = ANIMATIONS[animation.name] || ANIMATIONS.fade;
+        const progress = Math.min(1, (now - animation.start) / spec.duration);
+        const frame = spec[animation.direction](progress);
+        if (progress === 1) {
+            animation.done = true;
+            if (animation.direction === 'enter') holder.animation = null;
+        }
+        return { opacity: frame.opacity, scale: isReducedMotion() ? 1 : frame.scale };
+    }
+    
+    function startAnimation(holder, name, direction) {
+        holder.animation = { name: name, direction: direction, start: performance.now(), done: false };
+    }
+    
+    // Renderers draw the simulation's elements. Each one creates a view for an
+    // element showing a label (and reports its size and ink bounds in playfield
+    // units), draws every frame, and plays the enter/exit animations (see
+    // ANIMATIONS) and flash effect (flash takes an optional 0-1 strength).
+    // Switch between them with setRenderer.
+    
+    // DOM renderer - one absolutely-positioned .bouncing-text div per element
+    function createDomRenderer() {
+        function createView(scale, label) {
+            // Create new DOM element
+            const newElement = document.createElement('div');
+            newElement.className = 'bouncing-text';
             
-            // Add random horizontal offset to avoid exact overlap
-            spawnX += (Math.random() - 0.5) * (windowWidth * 0.6); // Spread across 60% of screen width
-        } else {
-            // Manual triggers also spawn at top
-            spawnX = windowWidth / 2 + (Math.random() - 0.5) * (windowWidth * 0.4);
-            spawnY = 50;
+            // Apply scaling to font size
+            const scaledFontSize = getBaseFontSize() * scale;
+            newElement.style.fontSize = scaledFontSize + 'px';
+            
+            if (label.image) {
+                const image = label.image.cloneNode();
+                image.alt = '';
+                image.draggable = false;
+                image.style.height = scaledFontSize * LOGO_HEIGHT_RATIO + 'px';
+                newElement.classList.add('bouncing-logo');
+                newElement.appendChild(image);
+            } else {
+                newElement.textContent = label.text;
+            }
+            
+            stage.appendChild(newElement);
+            
+            // Get dimensions after adding to DOM and applying scale
+            // (undo the stage scale so sizes are in playfield units)
+            const rect = newElement.getBoundingClientRect();
+            const width = rect.width / stageScale;
+            const height = rect.height / stageScale;
+            return {
+                width: width,
+                height: height,
+                bounds: label.image
+                    ? imageInkBounds(label, width, height)
+                    : textInkBounds(measureText(label, scaledFontSize), height),
+                label: label,
+                view: newElement
+            };
         }
         
-        createElement(spawnX, spawnY, true); // true = spawn from top
+        function removeView(element) {
+            const node = element.view;
+            if (node && node.parentNode) {
+                node.parentNode.removeChild(node);
+            }
+        }
+        
+        // Animations run frame by frame in draw(), so the node just holds the state
+        function animate(element, name, direction) {
+            startAnimation(element.view, name, direction);
+        }
         
-        // Flash effect only on the element that hit the corner
-        if (hitElement && !isManual) {
-            isFlashing = true;
-            // Apply pink flash instantly
-            hitElement.element.style.textShadow = '0 0 30px #ff0080, 0 0 60px #ff0080, 0 0 90px #ff0080';
-            hitElement.element.style.color = '#ff0080';
+        function flash(element, strength = 1) {
+            const node = element.view;
+            const flashColor = currentTheme().flash;
+            node.flashing = true;
+            
+            // Reduced motion or a partial flash: a gentle glow that eases in, with no colour change
+            if (isReducedMotion() || strength < 1) {
+                node.style.transition = 'text-shadow 0.3s ease-in, filter 0.3s ease-in';
+                if (element.label && element.label.image) {
+                    node.style.filter = 'drop-shadow(0 0 12px ' + flashColor + ')';
+                } else {
+                    node.style.textShadow = '0 0 12px ' + flashColor;
+                }
+            // Apply the flash colour instantly (logos can't change colour, so they just glow)
+            } else if (element.label && element.label.image) {
+                node.style.filter = 'drop-shadow(0 0 15px ' + flashColor + ') drop-shadow(0 0 30px ' + flashColor + ')';
+            } else {
+                node.style.textShadow = '0 0 30px ' + flashColor + ', 0 0 60px ' + flashColor + ', 0 0 90px ' + flashColor;
+                node.style.color = flashColor;
+            }
             
             // After a brief moment, start the fade-out transition
             setTimeout(() => {
                 // Enable transition for smooth fade-out
-                hitElement.element.style.transition = 'color 1s ease-out, text-shadow 1s ease-out';
+                node.style.transition = 'color 1s ease-out, text-shadow 1s ease-out, filter 1s ease-out';
                 
-                // Fade back to white
-                hitElement.element.style.textShadow = '0 0 10px rgba(255, 255, 255, 0.3)';
-                hitElement.element.style.color = 'white';
+                // Fade back to the element's colour (and the stylesheet's glow)
+                node.style.textShadow = '';
+                node.style.color = node.baseColor || '';
+                node.style.filter = '';
                 
-                // Clean up transition and reset flashing state after fade completes
+                // Clean up transition after fade completes
                 setTimeout(() => {
-                    hitElement.element.style.transition = 'none';
-                    isFlashing = false;
+                    node.style.transition = 'none';
+                    node.flashing = false;
                 }, 1000);
             }, 200);
         }
-    }
-    
-    function handleClickOrTap() {
-        clickCount++;
-        console.log('Click/tap ' + clickCount + '/' + MANUAL_TRIGGER_COUNT);
-        
-        // Reset timer
-        clearTimeout(clickTimer);
         
-        if (clickCount >= MANUAL_TRIGGER_COUNT) {
-            // Trigger the effect!
-            cornerHitEffect(true);
-            clickCount = 0;
-        } else {
-            // Reset counter after 2 seconds if not completed
-            clickTimer = setTimeout(() => {
-                clickCount = 0;
-            }, 2000);
+        function draw(elements) {
+            const now = performance.now();
+            
+            // Sync DOM elements with Matter.js bodies
+            for (let i = 0; i < elements.length; i++) {
+                const element = elements[i];
+                const body = element.body;
+                const frame = animationFrame(element.view, now);
+                
+                // Update DOM element position based on Matter.js body
+                // Account for where the collision box sits within the visual box
+                const x = body.position.x + element.offsetX - element.width / 2;
+                const y = body.position.y + element.offsetY - element.height / 2;
+                
+                element.view.style.transform = 'translate(' + x + 'px, ' + y + 'px)' +
+                    (frame.scale !== 1 ? ' scale(' + frame.scale + ')' : '');
+                const opacity = frame.opacity === 1 ? '' : String(frame.opacity);
+                if (element.view.style.opacity !== opacity) {
+                    element.view.style.opacity = opacity;
+                }
+                
+                // Colour changes (bounces, theme) wait until any flash has finished
+                const color = elementColor(element);
+                if (element.view.baseColor !== color) {
+                    element.view.baseColor = color;
+                    if (!element.view.flashing) element.view.style.color = color;
+                }
+            }
         }
+        
+        return {
+            name: 'dom',
+            createView: createView,
+            removeView: removeView,
+            animate: animate,
+            flash: flash,
+            draw: draw,
+            activate: function() {},
+            deactivate: function() {}
+        };
     }
     
-    // Performance optimization for large monitors
-    let frameCount = 0;
-    let lastTime = performance.now();
-    
-    // Detect large monitor for performance scaling
-    const isLargeMonitor = window.innerWidth > 2000 || window.innerHeight > 1200;
-    const stuckCheckInterval = isLargeMonitor ? 6 : 3; // Check stuck patterns less frequently on large monitors
-    const cleanupInterval = isLargeMonitor ? 120 : 60; // Clean up less frequently on large monitors
-    
-    function animate(currentTime) {
-        // Calculate delta time for smooth animation regardless of refresh rate
-        const deltaTime = currentTime - lastTime;
-        lastTime = currentTime;
-        frameCount++;
+    // Canvas renderer - every label drawn onto a single canvas, so the page does no
+    // per-element layout or compositing. Views are plain objects holding the font
+    // size and the state of any running animation or flash.
+    function createCanvasRenderer() {
+        const FLASH_HOLD_MS = 200;
+        const FLASH_FADE_MS = 1000;
         
-        // Cap delta time to prevent large jumps
-        const cappedDelta = Math.min(deltaTime, 33.333); // Max 30fps equivalent
+        const canvas = document.createElement('canvas');
+        canvas.className = 'render-canvas';
+        const ctx = canvas.getContext('2d');
         
-        // Update Matter.js engine with delta time
-        Engine.update(engine, cappedDelta);
-        
-        // Sync DOM elements with Matter.js bodies and ensure constant velocity
-        for (let i = 0; i < bouncingElements.length; i++) {
-            const element = bouncingElements[i];
-            const body = element.body;
+        function createView(scale, label) {
+            const fontSize = getBaseFontSize() * scale;
+            const view = { label: label, fontSize: fontSize, baseline: null, animation: null, flashStart: null, flashStrength: 1 };
             
-            // Check for stuck patterns less frequently on large monitors
-            if (frameCount % stuckCheckInterval === 0) {
-                detectStuckPattern(element);
+            if (label.image) {
+                const height = fontSize * LOGO_HEIGHT_RATIO;
+                const width = height * label.aspect;
+                return {
+                    width: width,
+                    height: height,
+                    bounds: imageInkBounds(label, width, height),
+                    label: label,
+                    view: view
+                };
             }
             
-            // Instant detection for obvious stuck patterns
-            const velocity = body.velocity;
-            const velAngle = Math.atan2(velocity.y, velocity.x);
-            const normalizedAngle = ((velAngle % (Math.PI * 2)) + (Math.PI * 2)) % (Math.PI * 2);
-            
-            // If moving nearly perfectly vertical for instant correction
-            const isVeryVertical = Math.abs(normalizedAngle - Math.PI/2) < 0.05 || 
-                                 Math.abs(normalizedAngle - 3*Math.PI/2) < 0.05;
-            const isVeryHorizontal = Math.abs(normalizedAngle) < 0.05 || 
-                                   Math.abs(normalizedAngle - Math.PI) < 0.05;
+            const metrics = measureText(label, fontSize);
             
-            if (isVeryVertical || isVeryHorizontal) {
-                // Add small random nudge immediately
-                const nudgeAngle = velAngle + (Math.random() - 0.5) * 0.4; // ±0.2 radians
-                Body.setVelocity(body, {
-                    x: Math.cos(nudgeAngle) * CONSTANT_SPEED,
-                    y: Math.sin(nudgeAngle) * CONSTANT_SPEED
-                });
-            }
-            
-            // Ensure constant velocity (safety check) - only check every 10 frames to reduce conflicts
-            if (frameCount % 10 === 0) {
-                const currentSpeed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
-                if (Math.abs(currentSpeed - CONSTANT_SPEED) > 0.5) { // Increased tolerance
-                    normalizeVelocity(body);
-                }
+            // Match the DOM line box: the font's ascent + descent where the browser
+            // reports it (drawn from the baseline), else the usual "normal" line height
+            let height = fontSize * 1.2;
+            if (metrics.fontBoundingBoxAscent !== undefined) {
+                height = metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent;
+                view.baseline = metrics.fontBoundingBoxAscent;
             }
             
-            // Clean up old wall cooldowns less frequently on large monitors
-            if (frameCount % cleanupInterval === 0) {
-                const currentTime = Date.now();
-                Object.keys(element.wallCooldown).forEach(wallLabel => {
-                    if (currentTime - element.wallCooldown[wallLabel] > 500) {
-                        delete element.wallCooldown[wallLabel];
-                    }
-                });
+            return {
+                width: metrics.width,
+                height: height,
+                bounds: textInkBounds(metrics, height),
+                label: label,
+                view: view
+            };
+        }
+        
+        function animate(element, name, direction) {
+            startAnimation(element.view, name, direction);
+        }
+        
+        function flash(element, strength = 1) {
+            element.view.flashStart = performance.now();
+            element.view.flashStrength = strength * (isReducedMotion() ? 0.35 : 1); // Softer with reduced motion
+        }
+        
+        // Blend between two [r, g, b, a] colours
+        function mixColor(from, to, amount) {
+            return rgba(from.map((value, i) => value + (to[i] - value) * amount));
+        }
+        
+        function draw(elements) {
+            // Match the playfield size at device (and stage) resolution
+            const pixelRatio = (window.devicePixelRatio || 1) * stageScale;
+            const canvasWidth = Math.round(sim.width * pixelRatio);
+            const canvasHeight = Math.round(sim.height * pixelRatio);
+            if (canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+                canvas.width = canvasWidth;
+                canvas.height = canvasHeight;
             }
             
-            // Update DOM element position based on Matter.js body
-            // Account for the difference between collision height and visual height
-            const x = body.position.x - element.width / 2;
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            ctx.clearRect(0, 0, sim.width, sim.height);
+            ctx.textAlign = 'center';
             
-            // Center the visual text within the collision body
-            const visualHeightOffset = (element.height - element.collisionHeight) / 2;
-            const y = body.position.y - element.height / 2 + visualHeightOffset;
+            const theme = currentTheme();
+            const glow = parseColor(theme.glow, 0.3);
+            const flashColor = parseColor(theme.flash);
             
-            element.element.style.transform = 'translate(' + x + 'px, ' + y + 'px)';
+            const now = performance.now();
+            for (let i = 0; i < elements.length; i++) {
+                const element = elements[i];
+                const view = element.view;
+                
+                const frame = animationFrame(view, now);
+                if (frame.opacity <= 0 || frame.scale <= 0) continue;
+                
+                // Flash: full flash colour for a moment, then ease back
+                let flashAmount = 0;
+                if (view.flashStart !== null) {
+                    const elapsed = now - view.flashStart;
+                    if (elapsed < FLASH_HOLD_MS) {
+                        flashAmount = view.flashStrength;
+                    } else if (elapsed < FLASH_HOLD_MS + FLASH_FADE_MS) {
+                        const progress = (elapsed - FLASH_HOLD_MS) / FLASH_FADE_MS;
+                        flashAmount = (1 - (1 - (1 - progress) * (1 - progress))) * view.flashStrength;
+                    } else {
+                        view.flashStart = null;
+                    }
+                }
+                
+                // Same placement as the DOM renderer
+                const body = element.body;
+                const centerX = body.position.x + element.offsetX;
+                const centerY = body.position.y + element.offsetY;
+                
+                // Scale about the element's centre
+                ctx.setTransform(pixelRatio * frame.scale, 0, 0, pixelRatio * frame.scale,
+                    centerX * pixelRatio * (1 - frame.scale), centerY * pixelRatio * (1 - frame.scale));
+                ctx.globalAlpha = frame.opacity;
+                ctx.shadowColor = mixColor(glow, flashColor, flashAmount);
+                ctx.shadowBlur = (10 + 20 * flashAmount) * pixelRatio;
+                
+                if (view.label.image) {
+                    ctx.drawImage(view.label.image, centerX - element.width / 2, centerY - element.height / 2,
+                        element.width, element.height);
+                } else {
+                    ctx.font = labelFont(view.fontSize);
+                    ctx.fillStyle = mixColor(parseColor(elementColor(element)), flashColor, flashAmount);
+                    if (view.baseline !== null) {
+                        ctx.textBaseline = 'alphabetic';
+                        ctx.fillText(view.label.text, centerX, centerY - element.height / 2 + view.baseline);
+                    } else {
+                        ctx.textBaseline = 'middle';
+                        ctx.fillText(view.label.text, centerX, centerY);
+                    }
+                }
+            }
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            ctx.globalAlpha = 1;
+            ctx.shadowBlur = 0;
         }
         
-        requestAnimationFrame(animate);
+        return {
+            name: 'canvas',
+            createView: createView,
+            removeView: function() {},
+            animate: animate,
+            flash: flash,
+            draw: draw,
+            activate: function() {
+                stage.insertBefore(canvas, stage.firstChild);
+            },
+            deactivate: function() {
+                if (canvas.parentNode) canvas.parentNode.removeChild(canvas);
+            }
+        };
     }
     
-    // Initialize after font loads
-    function initialize() {
-        // Hide the original text element
-        text.style.display = 'none';
+    const renderers = {
+        dom: createDomRenderer(),
+        canvas: createCanvasRenderer()
+    };
+    
+    // In 'auto' mode the canvas takes over on large monitors, or once the scene grows
+    // past AUTO_CANVAS_ELEMENTS; it hands back to the DOM below half that (after a reset)
+    const AUTO_CANVAS_ELEMENTS = 40;
+    const isLargeMonitor = window.innerWidth > 2000 || window.innerHeight > 1200;
+    
+    let renderer = null;
+    
+    function chooseRenderer() {
+        if (config.RENDERER !== 'auto') return renderers[config.RENDERER];
+        if (isLargeMonitor) return renderers.canvas;
         
-        // Set up world boundaries
-        updateWorldBoundaries();
+        const count = sim.elements.length;
+        if (count > AUTO_CANVAS_ELEMENTS) return renderers.canvas;
+        if (count < AUTO_CANVAS_ELEMENTS / 2) return renderers.dom;
+        return renderer;
+    }
+    
+    // Elements the simulation has removed that are still playing their exit animation
+    let leaving = [];
+    
+    // Move every element over to a different renderer. Sizes are kept as they are -
+    // the physics doesn't change when the drawing does.
+    function setRenderer(next) {
+        if (next === renderer) return;
         
-        // Create the first bouncing element
-        createElement();
+        const previous = renderer;
+        renderer = next;
+        renderer.activate();
         
-        updateDimensions();
+        if (previous) {
+            // Anything on its way out just goes
+            leaving.forEach(element => previous.removeView(element));
+            leaving = [];
+            
+            sim.elements.forEach(element => {
+                previous.removeView(element);
+                element.view = renderer.createView(element.scale, element.label).view;
+            });
+            previous.deactivate();
+        }
         
-        // Start animation with initial timestamp
-        lastTime = performance.now();
-        animate(lastTime);
+        if (config.DEBUG_CORNER_DETECTION) {
+            console.log('Renderer:', renderer.name);
+        }
     }
     
-    // Wait for fonts to load before starting
-    if (document.fonts && document.fonts.ready) {
-        document.fonts.ready.then(initialize);
-    } else {
-        // Fallback for browsers without Font Loading API
-        setTimeout(initialize, 100);
+    const sim = Simulation.createSimulation({
+        width: windowWidth,
+        height: windowHeight,
+        seed: seed,
+        config: config,
+        // Merged elements keep their label
+        measure: (scale, hint) => renderer.createView(scale, hint && hint.label ? hint.label : pickLabel())
+    });
+    
+    setRenderer(chooseRenderer() || renderers.dom);
+    
+    function updateDimensions() {
+        // A pinned scene keeps its original playfield - only the view is rescaled
+        if (isPinnedScene) {
+            fitStage();
+            return;
+        }
+        
+        windowWidth = window.innerWidth;
+        windowHeight = window.innerHeight;
+        baseFontSize = null; // Responsive font size may have changed
+        sim.resize(windowWidth, windowHeight);
+    }
+    
+    sim.on('spawn', function(event) {
+        // An element brought back by a rewind gets a fresh view (its old one was
+        // removed, or is part-way through an exit animation)
+        if (event.restored) {
+            leaving = leaving.filter(element => element !== event.element);
+            renderer.removeView(event.element);
+            event.element.view = renderer.createView(event.element.scale, event.element.label).view;
+        }
+        
+        // The new element may tip 'auto' over to the canvas
+        setRenderer(chooseRenderer());
+        
+        // Play the population policy's enter animation, if any
+        if (event.enter) {
+            renderer.animate(event.element, event.enter, 'enter');
+        }
+    });
+    
+    sim.on('remove', function(event) {
+        // Keep drawing it until its exit animation has played
+        if (event.exit) {
+            renderer.animate(event.element, event.exit, 'exit');
+            leaving.push(event.element);
+        } else {
+            renderer.removeView(event.element);
+        }
+    });
+    
+    // Draw the scene plus anything still leaving, dropping finished exits
+    function drawScene() {
+        if (leaving.length) {
+            leaving = leaving.filter(element => {
+                const animation = element.view.animation;
+                if (animation && !animation.done) return true;
+                renderer.removeView(element);
+                return false;
+            });
+        }
+        renderer.draw(leaving.length ? sim.elements.concat(leaving) : sim.elements);
+    }
+    
+    // Element colours - remember each element's generation and count its bounces.
+    // The generation comes from the id, which is never reused, so elements that
+    // take the place of evicted or merged ones still get colours of their own.
+    sim.on('spawn', function(event) {
+        elementColorState.set(event.element, { generation: event.element.id - 1, bounces: 0 });
+    });
+    
+    sim.on('wall-bounce', function(event) {
+        const state = elementColorState.get(event.element);
+        if (state) state.bounces++;
+    });
+    
+    sim.on('reset-start', function(event) {
+        // Start the label sequence over with the fresh element
+        labelIndex = 0;
+        
+        console.log('🌟 Starting fade-out animation...');
+        
+        // Play the exit animation on every element
+        event.elements.forEach(element => renderer.animate(element, event.exit, 'exit'));
+    });
+    
+    sim.on('reset', function() {
+        setRenderer(chooseRenderer());
+    });
+    
+    // Flash effect only on the element that hit the corner (not while catching
+    // up on time spent in the background - see fastForward)
+    sim.on('corner-hit', function(event) {
+        if (!event.element || event.manual || sim.fastForwarding) return;
+        renderer.flash(event.element);
+    });
+    
+    // A near miss gets a lighter version of the flash
+    sim.on('near-miss', function(event) {
+        if (sim.fastForwarding) return;
+        renderer.flash(event.element, NEAR_MISS_FLASH_STRENGTH);
+    });
+    
+    // Manual trigger tracking
+    let clickCount = 0;
+    let clickTimer = null;
+    
+    // Forecast overlay - a canvas over the playfield, redrawn every frame while enabled
+    let forecastCanvas = null;
+    
+    function drawForecastOverlay() {
+        if (!forecastCanvas) {
+            forecastCanvas = document.createElement('canvas');
+            forecastCanvas.className = 'forecast-overlay';
+            stage.appendChild(forecastCanvas);
+        }
+        
+        // Match the playfield size at device resolution
+        const pixelRatio = window.devicePixelRatio || 1;
+        const canvasWidth = Math.round(windowWidth * pixelRatio);
+        const canvasHeight = Math.round(windowHeight * pixelRatio);
+        if (forecastCanvas.width !== canvasWidth || forecastCanvas.height !== canvasHeight) {
+            forecastCanvas.width = canvasWidth;
+            forecastCanvas.height = canvasHeight;
+        }
+        
+        const ctx = forecastCanvas.getContext('2d');
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, windowWidth, windowHeight);
+        ctx.font = '12px sans-serif';
+        ctx.lineWidth = 1;
+        
+        const simTime = sim.time;
+        let soonest = null;
+        sim.elements.forEach(element => {
+            const forecast = element.forecast;
+            if (!forecast) return;
+            
+            // Draw from the current position through the bounces still ahead -
+            // up to the predicted hit, or the next few bounces if none is predicted
+            const ahead = forecast.path.filter(point => point.time > simTime);
+            const points = forecast.time !== null ? ahead : ahead.slice(0, 3);
+            
+            ctx.strokeStyle = forecast.time !== null ? 'rgba(255, 0, 128, 0.6)' : 'rgba(255, 255, 255, 0.15)';
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath();
+            ctx.moveTo(element.body.position.x, element.body.position.y);
+            points.forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            if (forecast.time === null) return;
+            
+            const hitPoint = points[points.length - 1] || element.body.position;
+            ctx.beginPath();
+            ctx.arc(hitPoint.x, hitPoint.y, 6, 0, Math.PI * 2);
+            ctx.stroke();
+            
+            // Countdown next to the element
+            const remaining = Math.max(0, forecast.time - simTime) / 1000;
+            ctx.fillStyle = '#ff0080';
+            ctx.fillText(remaining.toFixed(1) + 's', element.body.position.x + element.width / 2 + 6, element.body.position.y);
+            
+            if (!soonest || forecast.time < soonest.time) {
+                soonest = forecast;
+            }
+        });
+        
+        // Summary of the soonest predicted hit
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = '14px sans-serif';
+        const summary = soonest
+            ? 'Next corner hit: ' + soonest.corner + ' in ' + (Math.max(0, soonest.time - simTime) / 1000).toFixed(1) + 's'
+            : 'No corner hit predicted in the next ' + Simulation.FORECAST_HORIZON_MS / 1000 + 's';
+        ctx.fillText(summary, 12, 24);
+    }
+    
+    // Debug overlay - what the physics sees, drawn over the playfield: each body's
+    // collision rectangle next to its visual box (so a TEXT_HEIGHT_RATIO guess
+    // that doesn't fit the font shows), velocity vectors, the CORNER_THRESHOLD
+    // zones, the walls, running wall cooldowns and a trail of recent positions.
+    // A panel shows the frame rate, the time spent stepping the engine, the
+    // element count and a log of bounces, blocked double bounces and nudges.
+    const DEBUG_TRAIL_LENGTH = 60;     // Frames of trail per element
+    const DEBUG_LOG_LENGTH = 100;      // Entries kept in the event log
+    const DEBUG_PANEL_INTERVAL = 250;  // ms between panel refreshes
+    const DEBUG_VELOCITY_SCALE = 10;   // Velocity vectors show this many steps of travel
+    const DEBUG_EVENTS = [
+        ['wall-bounce', 'Bounces'], ['blocked-bounce', 'Blocked'], ['nudge', 'Nudges']
+    ];
+    
+    function createDebugOverlay() {
+        let canvas = null;
+        let panel = null;
+        let lastRefresh = 0;
+        const trails = new WeakMap(); // element -> recent centre positions
+        const log = [];
+        const shown = { 'wall-bounce': true, 'blocked-bounce': true, 'nudge': true };
+        const frames = [];            // Times of the frames in the last second
+        let stepTime = 0;             // Smoothed ms per frame spent in the engine
+        
+        function active() {
+            return config.DEBUG_OVERLAY;
+        }
+        
+        function describe(type, event) {
+            if (type === 'wall-bounce') return event.wall;
+            if (type === 'blocked-bounce') return event.wall + ' (' + Math.round(event.cooldownLeft) + 'ms left)';
+            return event.reason === 'rest' ? 'kicked after resting' : 'off the axis';
+        }
+        
+        DEBUG_EVENTS.forEach(([type]) => {
+            sim.on(type, event => {
+                if (!active()) return;
+                log.push({ type: type, time: sim.time, id: event.element.id, detail: describe(type, event) });
+                if (log.length > DEBUG_LOG_LENGTH) log.shift();
+            });
+        });
+        
+        function drawBox(ctx, x, y, width, height) {
+            ctx.strokeRect(x - width / 2, y - height / 2, width, height);
+        }
+        
+        function drawOverlay() {
+            if (!canvas) {
+                canvas = document.createElement('canvas');
+                canvas.className = 'debug-overlay';
+                stage.appendChild(canvas);
+            }
+            
+            const pixelRatio = window.devicePixelRatio || 1;
+            const canvasWidth = Math.round(sim.width * pixelRatio);
+            const canvasHeight = Math.round(sim.height * pixelRatio);
+            if (canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+                canvas.width = canvasWidth;
+                canvas.height = canvasHeight;
+            }
+            
+            const ctx = canvas.getContext('2d');
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            ctx.clearRect(0, 0, sim.width, sim.height);
+            ctx.font = '11px monospace';
+            ctx.lineWidth = 1;
+            
+            // Corner zones (only where both walls are closed)
+            const threshold = config.CORNER_THRESHOLD;
+            ctx.fillStyle = 'rgba(255, 0, 128, 0.15)';
+            [[0, 0], [sim.width - threshold, 0], [0, sim.height - threshold], [sim.width - threshold, sim.height - threshold]]
+                .forEach(([x, y]) => {
+                    if (sim.cornerAt(x + threshold / 2, y + threshold / 2)) ctx.fillRect(x, y, threshold, threshold);
+                });
+            
+            // Walls - only their inner faces fall inside the playfield
+            ctx.strokeStyle = 'rgba(255, 234, 0, 0.8)';
+            ctx.lineWidth = 3;
+            sim.world.bodies.forEach(body => {
+                if (body.label.indexOf('wall-') !== 0) return;
+                ctx.beginPath();
+                body.vertices.forEach((vertex, i) => (i === 0 ? ctx.moveTo(vertex.x, vertex.y) : ctx.lineTo(vertex.x, vertex.y)));
+                ctx.closePath();
+                ctx.stroke();
+            });
+            ctx.lineWidth = 1;
+            
+            sim.elements.forEach(element => {
+                const body = element.body;
+                const position = body.position;
+                
+                // Trail of where it's been
+                let trail = trails.get(element);
+                if (!trail) {
+                    trail = [];
+                    trails.set(element, trail);
+                }
+                trail.push({ x: position.x, y: position.y });
+                if (trail.length > DEBUG_TRAIL_LENGTH) trail.shift();
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+                ctx.beginPath();
+                trail.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+                ctx.stroke();
+                
+                // Visual box (dashed) and collision box
+                ctx.strokeStyle = 'rgba(0, 229, 255, 0.8)';
+                ctx.setLineDash([4, 4]);
+                drawBox(ctx, position.x + element.offsetX, position.y + element.offsetY, element.width, element.height);
+                ctx.setLineDash([]);
+                ctx.strokeStyle = 'rgba(118, 255, 3, 0.9)';
+                drawBox(ctx, position.x, position.y, element.collisionWidth, element.collisionHeight);
+                
+                // Velocity
+                ctx.strokeStyle = '#ff6d00';
+                ctx.beginPath();
+                ctx.moveTo(position.x, position.y);
+                ctx.lineTo(position.x + body.velocity.x * DEBUG_VELOCITY_SCALE, position.y + body.velocity.y * DEBUG_VELOCITY_SCALE);
+                ctx.stroke();
+                
+                // Id and any wall cooldowns still running
+                const labels = ['#' + element.id];
+                Object.keys(element.wallCooldown).forEach(wall => {
+                    const left = config.WALL_COOLDOWN_MS - (sim.time - element.wallCooldown[wall]);
+                    if (left > 0) labels.push(wall.replace('wall-', '') + ' ' + Math.round(left) + 'ms');
+                });
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                labels.forEach((label, i) => {
+                    ctx.fillText(label, position.x + element.collisionWidth / 2 + 4, position.y - element.collisionHeight / 2 + 10 + i * 12);
+                });
+            });
+        }
+        
+        function buildPanel() {
+            const debugPanel = document.createElement('div');
+            debugPanel.className = 'debug-panel ui-panel';
+            debugPanel.setAttribute('aria-label', 'Debug');
+            
+            debugPanel.readout = document.createElement('div');
+            debugPanel.readout.className = 'debug-readout';
+            debugPanel.appendChild(debugPanel.readout);
+            
+            // Which events the log lists
+            const filters = document.createElement('div');
+            filters.className = 'debug-filters';
+            DEBUG_EVENTS.forEach(([type, label]) => {
+                const filter = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = shown[type];
+                checkbox.addEventListener('change', () => {
+                    shown[type] = checkbox.checked;
+                    refreshPanel();
+                });
+                filter.appendChild(checkbox);
+                filter.appendChild(document.createTextNode(' ' + label));
+                filters.appendChild(filter);
+            });
+            debugPanel.appendChild(filters);
+            
+            debugPanel.log = document.createElement('ol');
+            debugPanel.log.className = 'debug-log';
+            debugPanel.appendChild(debugPanel.log);
+            
+            document.body.appendChild(debugPanel);
+            return debugPanel;
+        }
+        
+        function refreshPanel() {
+            const fps = frames.length;
+            panel.readout.textContent = fps + ' fps · engine ' + stepTime.toFixed(2) + ' ms/frame · ' +
+                sim.elements.length + ' elements';
+            
+            panel.log.textContent = '';
+            log.filter(entry => shown[entry.type]).slice(-30).reverse().forEach(entry => {
+                const item = document.createElement('li');
+                item.textContent = (entry.time / 1000).toFixed(2) + 's #' + entry.id + ' ' +
+                    (entry.type === 'wall-bounce' ? 'bounce' : entry.type === 'blocked-bounce' ? 'blocked' : 'nudge') +
+                    ' ' + entry.detail;
+                panel.log.appendChild(item);
+            });
+        }
+        
+        // Called every frame with the time spent advancing the simulation
+        function frame(now, engineMs) {
+            if (!active()) return;
+            
+            frames.push(now);
+            while (frames.length > 0 && now - frames[0] > 1000) frames.shift();
+            stepTime += (engineMs - stepTime) * 0.1;
+            
+            drawOverlay();
+            if (now - lastRefresh >= DEBUG_PANEL_INTERVAL) {
+                lastRefresh = now;
+                refreshPanel();
+            }
+        }
+        
+        // Show or hide everything to match the setting
+        function update() {
+            if (!active() && !panel) return;
+            if (!panel) panel = buildPanel();
+            panel.hidden = !active();
+            if (canvas) canvas.hidden = !active();
+            if (!active()) log.length = 0;
+        }
+        
+        return {
+            frame: frame,
+            update: update
+        };
+    }
+    
+    const debugOverlay = createDebugOverlay();
+    
+    // Persistent statistics - all-time totals and corner-hit history in localStorage,
+    // plus this session's counts. Only real corner hits count, not manual triggers.
+    const STATS_STORAGE_KEY = 'adlai.stats';
+    const STATS_HISTORY_LIMIT = 500; // Oldest hits are dropped beyond this
+    
+    function emptyStats() {
+        return {
+            version: 1,
+            cornerHits: 0,
+            resets: 0,
+            peakElements: 0,
+            nearMisses: 0,
+            closestMiss: null, // { distance, corner, time }
+            history: [] // { time, corner, walls, elements, sinceLast }
+        };
+    }
+    
+    // Check that imported or stored data has the expected shape
+    function isValidStats(data) {
+        return data !== null && typeof data === 'object' &&
+            typeof data.cornerHits === 'number' &&
+            typeof data.resets === 'number' &&
+            typeof data.peakElements === 'number' &&
+            Array.isArray(data.history) &&
+            data.history.every(entry => entry && typeof entry.time === 'number' && typeof entry.corner === 'string');
+    }
+    
+    function loadStats() {
+        try {
+            const data = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY));
+            if (isValidStats(data)) return Object.assign(emptyStats(), data); // Older saves lack newer fields
+        } catch (e) {
+            // Storage disabled or corrupt - start fresh
+        }
+        return emptyStats();
+    }
+    
+    function saveStats() {
+        try {
+            localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+        } catch (e) {
+            // Storage unavailable - stats still count for this visit
+        }
+    }
+    
+    let stats = loadStats();
+    const sessionStats = {
+        start: Date.now(),
+        cornerHits: 0,
+        resets: 0,
+        peakElements: 0,
+        nearMisses: 0,
+        lastHitSimTime: null // For gaps between this session's hits
+    };
+    
+    // Save and redraw the stats - once after catching up rather than for every
+    // event played through. Nothing is counted while a rewound stretch replays.
+    function statsChanged() {
+        if (sim.fastForwarding) return;
+        saveStats();
+        updateStatsPanel();
+    }
+    
+    sim.on('corner-hit', function(event) {
+        if (event.manual || sim.replaying) return;
+        
+        // Entries are dated by the clock, but gaps within this session are
+        // measured in simulation time, so pausing or slow motion doesn't stretch them
+        const now = Date.now();
+        const previous = stats.history[stats.history.length - 1];
+        let sinceLast = null;
+        if (sessionStats.lastHitSimTime !== null) {
+            sinceLast = sim.time - sessionStats.lastHitSimTime;
+        } else if (previous) {
+            sinceLast = now - previous.time;
+        }
+        sessionStats.lastHitSimTime = sim.time;
+        stats.history.push({
+            time: now,
+            corner: event.corner,
+            walls: event.walls,
+            elements: sim.elements.length,
+            sinceLast: sinceLast
+        });
+        if (stats.history.length > STATS_HISTORY_LIMIT) {
+            stats.history.shift();
+        }
+        
+        stats.cornerHits++;
+        sessionStats.cornerHits++;
+        statsChanged();
+    });
+    
+    sim.on('spawn', function() {
+        if (sim.replaying) return;
+        const count = sim.elements.length;
+        sessionStats.peakElements = Math.max(sessionStats.peakElements, count);
+        if (count > stats.peakElements) {
+            stats.peakElements = count;
+            statsChanged();
+        } else if (!sim.fastForwarding) {
+            updateStatsPanel();
+        }
+    });
+    
+    sim.on('near-miss', function(event) {
+        if (sim.replaying) return;
+        stats.nearMisses++;
+        sessionStats.nearMisses++;
+        if (stats.closestMiss === null || event.distance < stats.closestMiss.distance) {
+            stats.closestMiss = { distance: event.distance, corner: event.corner, time: Date.now() };
+        }
+        statsChanged();
+    });
+    
+    sim.on('reset', function() {
+        if (sim.replaying) return;
+        stats.resets++;
+        sessionStats.resets++;
+        statsChanged();
+    });
+    
+    sim.on('caught-up', statsChanged);
+    
+    // "3m 12s", "2h 5m", "4d 3h"
+    function formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return seconds + 's';
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return minutes + 'm ' + (seconds % 60) + 's';
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return hours + 'h ' + (minutes % 60) + 'm';
+        return Math.floor(hours / 24) + 'd ' + (hours % 24) + 'h';
+    }
+    
+    // "12px (top-left)"
+    function formatMiss(miss) {
+        return miss ? miss.distance.toFixed(0) + 'px (' + miss.corner + ')' : '-';
+    }
+    
+    // Stats overlay
+    let statsPanel = null;
+    let statsTimer = null;
+    
+    function buildStatsPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'stats-panel ui-panel';
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Statistics';
+        panel.appendChild(title);
+        
+        const summary = document.createElement('dl');
+        panel.appendChild(summary);
+        
+        const recent = document.createElement('ol');
+        recent.className = 'stats-recent';
+        panel.appendChild(recent);
+        
+        const exportButton = document.createElement('button');
+        exportButton.type = 'button';
+        exportButton.textContent = 'Export';
+        exportButton.addEventListener('click', exportStats);
+        panel.appendChild(exportButton);
+        
+        // Import reads a file picked through a hidden file input
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) importStats(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        panel.appendChild(fileInput);
+        
+        const importButton = document.createElement('button');
+        importButton.type = 'button';
+        importButton.textContent = 'Import';
+        importButton.addEventListener('click', () => fileInput.click());
+        panel.appendChild(importButton);
+        
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.textContent = 'Clear';
+        clearButton.addEventListener('click', () => {
+            if (!window.confirm('Clear all saved statistics?')) return;
+            stats = emptyStats();
+            saveStats();
+            updateStatsPanel();
+        });
+        panel.appendChild(clearButton);
+        
+        panel.summary = summary;
+        panel.recent = recent;
+        document.body.appendChild(panel);
+        return panel;
+    }
+    
+    function updateStatsPanel() {
+        if (!statsPanel || statsPanel.hidden) return;
+        
+        const now = Date.now();
+        const history = stats.history;
+        const last = history[history.length - 1];
+        const intervals = history.filter(entry => entry.sinceLast !== null).map(entry => entry.sinceLast);
+        const averageInterval = intervals.length > 0
+            ? intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length
+            : null;
+        
+        const rows = [
+            ['Corner hits', sessionStats.cornerHits + ' this session / ' + stats.cornerHits + ' all time'],
+            ['Last hit', last ? last.corner + ', ' + formatDuration(now - last.time) + ' ago' : 'never'],
+            ['Average gap', averageInterval !== null ? formatDuration(averageInterval) : '-'],
+            ['Near misses', sessionStats.nearMisses + ' this session / ' + stats.nearMisses + ' all time'],
+            ['Closest miss', formatMiss(sim.closestMiss) + ' this session / ' + formatMiss(stats.closestMiss) + ' all time'],
+            ['Peak elements', sessionStats.peakElements + ' this session / ' + stats.peakElements + ' all time'],
+            ['Resets', sessionStats.resets + ' this session / ' + stats.resets + ' all time'],
+            ['Session', formatDuration(now - sessionStats.start)]
+        ];
+        
+        statsPanel.summary.textContent = '';
+        rows.forEach(row => {
+            const term = document.createElement('dt');
+            term.textContent = row[0];
+            const value = document.createElement('dd');
+            value.textContent = row[1];
+            statsPanel.summary.appendChild(term);
+            statsPanel.summary.appendChild(value);
+        });
+        
+        // Most recent hits first
+        statsPanel.recent.textContent = '';
+        history.slice(-5).reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = new Date(entry.time).toLocaleString() + ' - ' + entry.corner +
+                (entry.walls ? ' (' + entry.walls.join(' + ') + ')' : '');
+            statsPanel.recent.appendChild(item);
+        });
+    }
+    
+    function setStatsPanelVisible(visible) {
+        if (!statsPanel) {
+            if (!visible) return;
+            statsPanel = buildStatsPanel();
+        }
+        statsPanel.hidden = !visible;
+        
+        // Keep the "ago" times ticking while it's open
+        clearInterval(statsTimer);
+        if (visible) {
+            updateStatsPanel();
+            statsTimer = setInterval(updateStatsPanel, 1000);
+        }
+    }
+    
+    function exportStats() {
+        const blob = new Blob([JSON.stringify(stats, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'adlai-stats-' + new Date().toISOString().slice(0, 10) + '.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    // Replace the saved stats with an exported file
+    function importStats(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data = null;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                // Reported below
+            }
+            if (!isValidStats(data)) {
+                window.alert('That file doesn\'t look like exported adlai.net statistics.');
+                return;
+            }
+            stats = Object.assign(emptyStats(), data);
+            saveStats();
+            updateStatsPanel();
+        };
+        reader.readAsText(file);
+    }
+    
+    // Synthesized sound effects (Web Audio, no sample files). The AudioContext is
+    // only created on the first click/tap, since browsers block audio before that.
+    const MAX_VOICES = 8;          // Bounce ticks beyond this many at once are dropped
+    const TICK_BASE_FREQUENCY = 660; // Full-size element; smaller ones tick higher
+    const CHIME_NOTES = [1046.5, 1318.5, 1568, 2093]; // C6 E6 G6 C7
+    
+    function createAudio() {
+        let context = null;
+        let master = null;
+        let activeVoices = 0;
+        
+        function masterLevel() {
+            return config.SOUND_MUTED ? 0 : config.SOUND_VOLUME;
+        }
+        
+        // Called from a user gesture - creates or resumes the context
+        function unlock() {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            
+            if (!context) {
+                context = new AudioContextClass();
+                
+                // Compressor keeps a burst of overlapping voices from clipping
+                const compressor = context.createDynamicsCompressor();
+                compressor.connect(context.destination);
+                master = context.createGain();
+                master.gain.value = masterLevel();
+                master.connect(compressor);
+                console.log('🔊 Audio started');
+            }
+            if (context.state === 'suspended') {
+                context.resume();
+            }
+        }
+        
+        function isReady() {
+            return context !== null && context.state === 'running' && masterLevel() > 0;
+        }
+        
+        function updateVolume() {
+            if (!master) return;
+            master.gain.setTargetAtTime(masterLevel(), context.currentTime, 0.02);
+        }
+        
+        // One oscillator with a quick attack and exponential decay
+        function playVoice(type, frequency, startTime, duration, peak, endFrequency) {
+            const oscillator = context.createOscillator();
+            const envelope = context.createGain();
+            
+            oscillator.type = type;
+            oscillator.frequency.setValueAtTime(frequency, startTime);
+            if (endFrequency) {
+                oscillator.frequency.exponentialRampToValueAtTime(endFrequency, startTime + duration);
+            }
+            
+            envelope.gain.setValueAtTime(0.0001, startTime);
+            envelope.gain.exponentialRampToValueAtTime(peak, startTime + 0.005);
+            envelope.gain.exponentialRampToValueAtTime(0.0001, startTime + duration);
+            
+            oscillator.connect(envelope);
+            envelope.connect(master);
+            oscillator.start(startTime);
+            oscillator.stop(startTime + duration + 0.05);
+            
+            activeVoices++;
+            oscillator.onended = () => {
+                activeVoices--;
+                envelope.disconnect();
+            };
+        }
+        
+        // Soft tick for a wall bounce, pitched by element size
+        function tick(scale) {
+            if (!isReady() || activeVoices >= MAX_VOICES) return;
+            const frequency = Math.min(TICK_BASE_FREQUENCY / scale, 4000);
+            playVoice('triangle', frequency, context.currentTime, 0.06, 0.15);
+        }
+        
+        // Rising arpeggio for a corner hit - always plays, even over the voice limit
+        function chime() {
+            if (!isReady()) return;
+            const now = context.currentTime;
+            CHIME_NOTES.forEach((frequency, i) => {
+                playVoice('sine', frequency, now + i * 0.07, 1.2, 0.25);
+            });
+        }
+        
+        // Falling sweep that runs alongside the reset fade-out
+        function sweep() {
+            if (!isReady()) return;
+            playVoice('sawtooth', 1200, context.currentTime, 1.0, 0.08, 80);
+        }
+        
+        return {
+            unlock: unlock,
+            updateVolume: updateVolume,
+            tick: tick,
+            chime: chime,
+            sweep: sweep
+        };
+    }
+    
+    const audio = createAudio();
+    
+    // Catching up after a hidden tab stays quiet
+    sim.on('wall-bounce', function(event) {
+        if (sim.fastForwarding) return;
+        audio.tick(event.element.scale);
+    });
+    
+    sim.on('corner-hit', function() {
+        if (sim.fastForwarding) return;
+        audio.chime();
+    });
+    
+    sim.on('reset-start', function() {
+        if (sim.fastForwarding) return;
+        audio.sweep();
+    });
+    
+    function handleClickOrTap() {
+        // Input only ends the screensaver while it's set to exit on input
+        if (screensaver.suspendsInput()) return;
+        // Clicks place obstacles while editing
+        if (editor.active) return;
+        
+        audio.unlock();
+        
+        clickCount++;
+        console.log('Click/tap ' + clickCount + '/' + config.MANUAL_TRIGGER_COUNT);
+        
+        // Reset timer
+        clearTimeout(clickTimer);
+        
+        if (clickCount >= config.MANUAL_TRIGGER_COUNT) {
+            // Trigger the effect!
+            sim.cornerHitEffect(true);
+            clickCount = 0;
+        } else {
+            // Reset counter after 2 seconds if not completed
+            clickTimer = setTimeout(() => {
+                clickCount = 0;
+            }, 2000);
+        }
+    }
+    
+    // Validate and apply a single setting, then persist it for future visits
+    function setConfig(key, rawValue) {
+        if (!CONFIG_SCHEMA[key]) return;
+        const value = parseConfigValue(key, rawValue);
+        if (value === undefined || value === config[key]) return;
+        
+        const oldValue = config[key];
+        config[key] = value;
+        applyConfigChange(key, oldValue);
+        
+        // Tweaks made while watching a shared scene aren't saved as your own settings
+        if (scene) return;
+        
+        const stored = readStoredConfig();
+        stored[key] = value;
+        try {
+            localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(stored));
+        } catch (e) {
+            // Storage unavailable (private mode etc.) - setting still applies for this visit
+        }
+    }
+    
+    // Bring the running scene in line with a changed setting
+    function applyConfigChange(key, oldValue) {
+        if (Simulation.CONFIG_SCHEMA[key]) {
+            sim.applyConfigChange(key, oldValue);
+        } else if (key === 'MANUAL_TRIGGER_COUNT') {
+            clickCount = 0;
+            clearTimeout(clickTimer);
+        } else if (key === 'FORECAST_OVERLAY' && forecastCanvas) {
+            forecastCanvas.hidden = !config.FORECAST_OVERLAY;
+        } else if (key === 'SOUND_MUTED' || key === 'SOUND_VOLUME') {
+            audio.updateVolume();
+            updateMuteToggle();
+        } else if (key === 'LABELS') {
+            // Existing elements keep their labels; new ones use the new list
+            loadLabels(config.LABELS).then(loaded => {
+                labels = loaded;
+                labelIndex = 0;
+            });
+        } else if (key === 'LABEL_ORDER') {
+            labelIndex = 0;
+        } else if (key === 'THEME') {
+            applyTheme();
+            drawObstacles(sim.getLayout());
+        } else if (key === 'REDUCED_MOTION') {
+            applyReducedMotion();
+        } else if (key === 'STATS_OVERLAY') {
+            setStatsPanelVisible(config.STATS_OVERLAY);
+        } else if (key === 'RENDERER') {
+            setRenderer(chooseRenderer() || renderers.dom);
+        } else if (key === 'GAME_MODE' || key === 'GAME_DIFFICULTY') {
+            game.quit();
+            game.updatePanel();
+        } else if (key === 'CLIP_RECORDER') {
+            if (config.CLIP_RECORDER) {
+                clipRecorder.start();
+            } else {
+                clipRecorder.stop();
+            }
+        } else if (key === 'TIME_CONTROLS') {
+            timeControls.updatePanel();
+        } else if (key === 'DEBUG_OVERLAY') {
+            debugOverlay.update();
+        } else if (key === 'SHARED_PLAYFIELD') {
+            if (config.SHARED_PLAYFIELD) {
+                sharedPlayfield.start();
+            } else {
+                sharedPlayfield.stop();
+            }
+        }
+    }
+    
+    // Forget saved settings and go back to defaults (URL/data-* overrides still apply on next load)
+    function resetConfig() {
+        try {
+            localStorage.removeItem(CONFIG_STORAGE_KEY);
+        } catch (e) {
+            // Nothing saved
+        }
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            const oldValue = config[key];
+            config[key] = CONFIG_SCHEMA[key].default;
+            if (oldValue !== config[key]) applyConfigChange(key, oldValue);
+        });
+    }
+    
+    // Link that replays this scene from the start: the seed, the playfield and base
+    // font size, and every setting that differs from its default
+    function buildShareLink() {
+        const params = new URLSearchParams();
+        params.set('seed', seed);
+        params.set('w', Math.round(windowWidth));
+        params.set('h', Math.round(windowHeight));
+        params.set('fs', getBaseFontSize());
+        
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            // Personal preferences (sound, overlays) stay with the viewer
+            if (key !== 'FIXED_TIMESTEP' && !CONFIG_SCHEMA[key].personal &&
+                config[key] !== CONFIG_SCHEMA[key].default) {
+                params.set(CONFIG_SCHEMA[key].param, config[key]);
+            }
+        });
+        
+        return window.location.origin + window.location.pathname + '#' + params.toString();
+    }
+    
+    // In-page settings panel
+    let settingsPanel = null;
+    
+    function buildSettingsPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'settings-panel ui-panel';
+        panel.hidden = true;
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Settings';
+        panel.appendChild(title);
+        
+        const inputs = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            const spec = CONFIG_SCHEMA[key];
+            const row = document.createElement('label');
+            row.className = 'settings-row';
+            
+            const name = document.createElement('span');
+            name.textContent = spec.label;
+            row.appendChild(name);
+            
+            const input = document.createElement(spec.type === 'choice' ? 'select' : 'input');
+            if (spec.type === 'choice') {
+                spec.options.forEach(option => {
+                    const item = document.createElement('option');
+                    item.value = option;
+                    item.textContent = option;
+                    input.appendChild(item);
+                });
+                input.addEventListener('change', () => setConfig(key, input.value));
+                row.appendChild(input);
+            } else if (spec.type === 'boolean') {
+                input.type = 'checkbox';
+                input.addEventListener('change', () => setConfig(key, input.checked));
+                row.appendChild(input);
+            } else if (spec.type === 'text') {
+                input.type = 'text';
+                input.addEventListener('change', () => setConfig(key, input.value));
+                row.appendChild(input);
+            } else {
+                input.type = 'range';
+                input.min = spec.min;
+                input.max = spec.max;
+                input.step = spec.step;
+                
+                const output = document.createElement('output');
+                input.addEventListener('input', () => {
+                    setConfig(key, input.value);
+                    output.textContent = config[key];
+                });
+                row.appendChild(input);
+                row.appendChild(output);
+                input.output = output;
+            }
+            
+            inputs[key] = input;
+            panel.appendChild(row);
+        });
+        
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.addEventListener('click', () => {
+            resetConfig();
+            syncSettingsPanel();
+        });
+        panel.appendChild(resetButton);
+        
+        const seedInfo = document.createElement('p');
+        seedInfo.className = 'settings-seed';
+        seedInfo.textContent = 'Seed: ' + seed;
+        panel.appendChild(seedInfo);
+        
+        const shareButton = document.createElement('button');
+        shareButton.type = 'button';
+        shareButton.textContent = 'Copy share link';
+        shareButton.addEventListener('click', () => {
+            const link = buildShareLink();
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(link).then(() => {
+                    shareButton.textContent = 'Link copied!';
+                    setTimeout(() => { shareButton.textContent = 'Copy share link'; }, 2000);
+                }, () => window.prompt('Copy this link:', link));
+            } else {
+                window.prompt('Copy this link:', link);
+            }
+        });
+        panel.appendChild(shareButton);
+        
+        const keys = document.createElement('p');
+        keys.className = 'settings-keys';
+        keys.textContent = 'Keys: Space pause · N spawn · R reset · S settings · F screensaver · E edit obstacles · , . rewind/step · [ ] speed · D debug';
+        panel.appendChild(keys);
+        
+        panel.inputs = inputs;
+        document.body.appendChild(panel);
+        return panel;
+    }
+    
+    // Refresh panel inputs from the live config
+    function syncSettingsPanel() {
+        Object.keys(settingsPanel.inputs).forEach(key => {
+            const input = settingsPanel.inputs[key];
+            if (input.type === 'checkbox') {
+                input.checked = config[key];
+            } else if (input.tagName === 'SELECT' || input.type === 'text') {
+                input.value = config[key];
+            } else {
+                input.value = config[key];
+                input.output.textContent = config[key];
+            }
+        });
+    }
+    
+    function toggleSettingsPanel() {
+        if (!settingsPanel) {
+            settingsPanel = buildSettingsPanel();
+        }
+        settingsPanel.hidden = !settingsPanel.hidden;
+        if (!settingsPanel.hidden) {
+            syncSettingsPanel();
+        }
+    }
+    
+    // True if an event came from a panel or button rather than the playfield
+    function isUiEvent(e) {
+        return e.target instanceof Element && e.target.closest('.ui-panel') !== null;
+    }
+    
+    const settingsToggle = document.createElement('button');
+    settingsToggle.type = 'button';
+    settingsToggle.className = 'settings-toggle ui-panel';
+    settingsToggle.setAttribute('aria-label', 'Settings');
+    settingsToggle.textContent = '⚙';
+    settingsToggle.addEventListener('click', toggleSettingsPanel);
+    document.body.appendChild(settingsToggle);
+    
+    const muteToggle = document.createElement('button');
+    muteToggle.type = 'button';
+    muteToggle.className = 'mute-toggle ui-panel';
+    muteToggle.addEventListener('click', () => {
+        audio.unlock();
+        setConfig('SOUND_MUTED', !config.SOUND_MUTED);
+        if (settingsPanel) syncSettingsPanel();
+    });
+    document.body.appendChild(muteToggle);
+    
+    function updateMuteToggle() {
+        muteToggle.textContent = config.SOUND_MUTED ? '🔇' : '🔊';
+        muteToggle.setAttribute('aria-label', config.SOUND_MUTED ? 'Unmute sound' : 'Mute sound');
+        muteToggle.setAttribute('aria-pressed', String(config.SOUND_MUTED));
+    }
+    
+    updateMuteToggle();
+    
+    // Screensaver mode - fullscreen, a screen wake lock so the display stays on,
+    // and the cursor hidden while the mouse is idle. With SCREENSAVER_EXIT_ON_INPUT
+    // any key, click, touch or real mouse movement leaves the mode instead of
+    // reaching the page (so it doesn't count toward the manual trigger).
+    const CURSOR_IDLE_MS = 3000;
+    const EXIT_MOVE_DISTANCE = 20; // Mouse jitter smaller than this doesn't count as input
+    
+    function createScreensaver() {
+        let active = false;
+        let wakeLock = null;
+        let cursorTimer = null;
+        let pointerOrigin = null;
+        let swallowInputUntil = 0;
+        
+        function requestWakeLock() {
+            if (!navigator.wakeLock || wakeLock || document.visibilityState !== 'visible') return;
+            navigator.wakeLock.request('screen').then(lock => {
+                if (!active) {
+                    lock.release();
+                    return;
+                }
+                wakeLock = lock;
+                // The browser drops the lock whenever the page is hidden
+                lock.addEventListener('release', () => {
+                    wakeLock = null;
+                });
+            }, error => {
+                console.warn('Screen wake lock unavailable:', error.message);
+            });
+        }
+        
+        function showCursor() {
+            document.body.classList.remove('cursor-hidden');
+            clearTimeout(cursorTimer);
+            if (active) {
+                cursorTimer = setTimeout(() => {
+                    document.body.classList.add('cursor-hidden');
+                }, CURSOR_IDLE_MS);
+            }
+        }
+        
+        function enter() {
+            if (active) return;
+            active = true;
+            pointerOrigin = null;
+            document.body.classList.add('screensaver');
+            
+            const root = document.documentElement;
+            const requestFullscreen = root.requestFullscreen || root.webkitRequestFullscreen;
+            if (requestFullscreen && !(document.fullscreenElement || document.webkitFullscreenElement)) {
+                const request = requestFullscreen.call(root);
+                if (request && request.catch) {
+                    request.catch(error => console.warn('Fullscreen unavailable:', error.message));
+                }
+            }
+            
+            requestWakeLock();
+            showCursor();
+            console.log('🖥 Screensaver on');
+        }
+        
+        function exit() {
+            if (!active) return;
+            active = false;
+            document.body.classList.remove('screensaver');
+            showCursor();
+            
+            if (document.fullscreenElement || document.webkitFullscreenElement) {
+                const exitFullscreen = document.exitFullscreen || document.webkitExitFullscreen;
+                exitFullscreen.call(document);
+            }
+            if (wakeLock) {
+                wakeLock.release();
+                wakeLock = null;
+            }
+            console.log('🖥 Screensaver off');
+        }
+        
+        // True while input should end the mode rather than reach the page
+        function suspendsInput() {
+            return (active && config.SCREENSAVER_EXIT_ON_INPUT) || performance.now() < swallowInputUntil;
+        }
+        
+        // Capture-phase filter run ahead of every other input listener
+        function filterInput(e) {
+            if (e.type === 'pointermove') {
+                showCursor();
+                if (!active || !config.SCREENSAVER_EXIT_ON_INPUT || e.pointerType !== 'mouse') return;
+                
+                // Ignore the first position and small jitter
+                if (pointerOrigin === null) {
+                    pointerOrigin = { x: e.clientX, y: e.clientY };
+                    return;
+                }
+                if (Math.abs(e.clientX - pointerOrigin.x) < EXIT_MOVE_DISTANCE &&
+                    Math.abs(e.clientY - pointerOrigin.y) < EXIT_MOVE_DISTANCE) {
+                    return;
+                }
+            }
+            if (!suspendsInput()) return;
+            
+            e.stopImmediatePropagation();
+            if (e.cancelable && e.type !== 'pointermove') e.preventDefault();
+            if (active) {
+                exit();
+                // Also swallow the click/touchend that follows the input that ended it
+                swallowInputUntil = performance.now() + 500;
+            }
+        }
+        
+        ['keydown', 'pointerdown', 'pointermove', 'pointerup', 'click', 'touchend', 'wheel'].forEach(type => {
+            window.addEventListener(type, filterInput, { capture: true, passive: false });
+        });
+        
+        // Leaving fullscreen (e.g. with Esc) ends the mode. Either way the viewport
+        // has changed size, so reflow now rather than waiting for the resize debounce.
+        function onFullscreenChange() {
+            if (!(document.fullscreenElement || document.webkitFullscreenElement)) {
+                exit();
+            }
+            updateDimensions();
+        }
+        document.addEventListener('fullscreenchange', onFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', onFullscreenChange);
+        
+        // Re-acquire the wake lock when the page becomes visible again
+        document.addEventListener('visibilitychange', function() {
+            if (active && document.visibilityState === 'visible') {
+                requestWakeLock();
+            }
+        });
+        
+        return {
+            enter: enter,
+            exit: exit,
+            toggle: function() {
+                if (active) {
+                    exit();
+                } else {
+                    enter();
+                }
+            },
+            suspendsInput: suspendsInput,
+            get active() { return active; }
+        };
+    }
+    
+    const screensaver = createScreensaver();
+    
+    const screensaverToggle = document.createElement('button');
+    screensaverToggle.type = 'button';
+    screensaverToggle.className = 'screensaver-toggle ui-panel';
+    screensaverToggle.setAttribute('aria-label', 'Screensaver mode');
+    screensaverToggle.textContent = '⛶';
+    screensaverToggle.addEventListener('click', screensaver.toggle);
+    document.body.appendChild(screensaverToggle);
+    
+    // Shared playfield - windows of this page on the same screen find each other over
+    // a BroadcastChannel and work out from their screen positions which of their
+    // edges touch. The simulation opens those stretches of wall; an element crossing
+    // one is posted to the neighbour, which adds it to its own world with the same
+    // size, label and velocity. Inner corners (where the playfield carries on) don't
+    // count - only the outer corners of the combined area do. Needs nothing but
+    // same-origin windows: opening index.html?shared=1 twice works without a server.
+    const SHARED_CHANNEL = 'adlai.shared';
+    const SHARED_HEARTBEAT_MS = 500;
+    const SHARED_PEER_TIMEOUT_MS = 2000;
+    const SHARED_EDGE_TOLERANCE = 30; // px gap between windows still treated as touching
+    
+    function createSharedPlayfield() {
+        const id = Math.random().toString(36).slice(2);
+        const peers = new Map(); // id -> { rect, seen }
+        let channel = null;
+        let heartbeat = null;
+        let edgesKey = '';
+        
+        // This window's viewport in screen coordinates. Browsers only report the
+        // outer window position, so assume the chrome sits above the page and any
+        // frame is even on both sides.
+        function screenRect() {
+            const frame = Math.max(0, (window.outerWidth - window.innerWidth) / 2);
+            return {
+                x: window.screenX + frame,
+                y: window.screenY + Math.max(0, window.outerHeight - window.innerHeight - frame),
+                width: windowWidth,
+                height: windowHeight
+            };
+        }
+        
+        function post(message) {
+            message.from = id;
+            channel.postMessage(message);
+        }
+        
+        // Where each peer's viewport touches ours, as open spans along our edges
+        function computeOpenEdges(rect) {
+            const edges = { top: [], bottom: [], left: [], right: [] };
+            const touches = (a, b) => Math.abs(a - b) <= SHARED_EDGE_TOLERANCE;
+            const overlap = (from, to, otherFrom, otherTo) => {
+                const start = Math.max(from, otherFrom);
+                const end = Math.min(to, otherTo);
+                return end > start ? [start - from, end - from] : null;
+            };
+            
+            peers.forEach(peer => {
+                const other = peer.rect;
+                const alongY = overlap(rect.y, rect.y + rect.height, other.y, other.y + other.height);
+                const alongX = overlap(rect.x, rect.x + rect.width, other.x, other.x + other.width);
+                if (alongY && touches(other.x, rect.x + rect.width)) edges.right.push(alongY);
+                if (alongY && touches(other.x + other.width, rect.x)) edges.left.push(alongY);
+                if (alongX && touches(other.y, rect.y + rect.height)) edges.bottom.push(alongX);
+                if (alongX && touches(other.y + other.height, rect.y)) edges.top.push(alongX);
+            });
+            return edges;
+        }
+        
+        function updateEdges() {
+            const edges = computeOpenEdges(screenRect());
+            const key = JSON.stringify(edges);
+            if (key === edgesKey) return;
+            edgesKey = key;
+            sim.setOpenEdges(edges);
+            
+            if (config.DEBUG_CORNER_DETECTION) {
+                console.log('Shared playfield edges:', key);
+            }
+        }
+        
+        // Announce ourselves, forget peers that have gone quiet, and pick up any
+        // window moves or resizes (there's no event for moving a window)
+        function tick() {
+            post({ type: 'here', rect: screenRect() });
+            
+            const now = performance.now();
+            peers.forEach((peer, peerId) => {
+                if (now - peer.seen > SHARED_PEER_TIMEOUT_MS) peers.delete(peerId);
+            });
+            updateEdges();
+            
+            // Alone again with everything gone to windows that closed - start over
+            if (peers.size === 0 && sim.elements.length === 0) {
+                sim.createElement();
+            }
+        }
+        
+        function receive(event) {
+            const message = event.data;
+            if (!message || message.from === id) return;
+            
+            if (message.type === 'here') {
+                const isNew = !peers.has(message.from);
+                peers.set(message.from, { rect: message.rect, seen: performance.now() });
+                if (isNew) {
+                    console.log('🪟 Window joined the shared playfield');
+                    post({ type: 'here', rect: screenRect() }); // Let it find us straight away
+                }
+                updateEdges();
+            } else if (message.type === 'bye') {
+                peers.delete(message.from);
+                updateEdges();
+            } else if (message.type === 'element' && message.to === id) {
+                adopt(message);
+            }
+        }
+        
+        // An element arriving from a neighbour, carrying on from where it crossed
+        // the shared edge
+        function adopt(message) {
+            const rect = screenRect();
+            sim.createElement(message.x - rect.x, message.y - rect.y, false, false, {
+                scale: message.scale,
+                label: labels[message.label] || (message.text ? { text: message.text, src: null, weight: 1 } : null),
+                velocity: message.velocity,
+                exact: true
+            });
+        }
+        
+        // Hand an element that left through an open edge to the window it went into
+        function handOff(event) {
+            const rect = screenRect();
+            const x = rect.x + event.position.x;
+            const y = rect.y + event.position.y;
+            
+            let target = null;
+            peers.forEach((peer, peerId) => {
+                const other = peer.rect;
+                const margin = SHARED_EDGE_TOLERANCE + Math.max(event.element.width, event.element.height);
+                if (x >= other.x - margin && x <= other.x + other.width + margin &&
+                    y >= other.y - margin && y <= other.y + other.height + margin) {
+                    target = peerId;
+                }
+            });
+            
+            if (target === null) {
+                // The neighbour went away - bounce back in instead
+                const velocity = event.edge === 'left' || event.edge === 'right'
+                    ? { x: -event.velocity.x, y: event.velocity.y }
+                    : { x: event.velocity.x, y: -event.velocity.y };
+                sim.createElement(event.position.x, event.position.y, false, false, {
+                    scale: event.element.scale,
+                    label: event.element.label,
+                    velocity: velocity,
+                    exact: true
+                });
+                return;
+            }
+            
+            post({
+                type: 'element',
+                to: target,
+                x: x,
+                y: y,
+                velocity: event.velocity,
+                scale: event.element.scale,
+                label: labels.indexOf(event.element.label),
+                text: event.element.label ? event.element.label.text : null
+            });
+        }
+        
+        sim.on('cross-edge', handOff);
+        
+        function start() {
+            if (channel) return;
+            if (typeof BroadcastChannel === 'undefined') {
+                console.warn('Shared playfield needs BroadcastChannel, which this browser lacks');
+                return;
+            }
+            if (isPinnedScene) {
+                console.warn('Shared playfield is off for pinned scenes');
+                return;
+            }
+            
+            channel = new BroadcastChannel(SHARED_CHANNEL);
+            channel.addEventListener('message', receive);
+            heartbeat = setInterval(tick, SHARED_HEARTBEAT_MS);
+            tick();
+            console.log('🪟 Shared playfield on - open this page in another window beside this one');
+        }
+        
+        function stop() {
+            if (!channel) return;
+            post({ type: 'bye' });
+            channel.close();
+            channel = null;
+            clearInterval(heartbeat);
+            peers.clear();
+            edgesKey = '';
+            sim.setOpenEdges(null);
+            
+            // Everything may have wandered off into other windows
+            if (sim.elements.length === 0) {
+                sim.createElement();
+            }
+        }
+        
+        window.addEventListener('pagehide', function() {
+            if (channel) post({ type: 'bye' });
+        });
+        
+        return {
+            start: start,
+            stop: stop,
+            get peers() { return peers.size; }
+        };
+    }
+    
+    const sharedPlayfield = createSharedPlayfield();
+    
+    // Clip recorder - the scene is painted at a reduced size and frame rate onto a
+    // canvas that never joins the page, whose stream one MediaRecorder encodes off
+    // the main thread. It hands over a slice of video every CLIP_SLICE_MS, and only
+    // the last CLIP_BEFORE_MS of slices (by simulation time) are kept. A corner hit
+    // waits for CLIP_AFTER_MS more and saves the slices around it behind the
+    // recording's header, starting at the first WebM cluster among them - slices
+    // are cut wherever the encoder happens to be, but a cluster opens on a
+    // keyframe (asked for every slice where the browser takes the hint). The
+    // animate loop only ever paints one small frame.
+    const CLIP_BEFORE_MS = 3000;
+    const CLIP_AFTER_MS = 2000;
+    const CLIP_SLICE_MS = 500;
+    const MAX_CLIP_SLICES = 40; // While paused or in slow motion slices cover little simulation time
+    const CLIP_FPS = 30;
+    const CLIP_MAX_WIDTH = 960;
+    const CLIP_FLASH_MS = 1200;
+    const MAX_CLIPS = 6;
+    const WEBM_CLUSTER_ID = [0x1F, 0x43, 0xB6, 0x75];
+    
+    function createClipRecorder() {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        let stream = null;
+        let mimeType = '';
+        let recorder = null;
+        let header = null; // Promise of the container header every clip starts with
+        let slices = []; // { data, time } - the recent past, by simulation time
+        let pending = []; // Corner hits waiting for their post-roll: { time, date, corner }
+        let lastCapture = 0;
+        const flashes = new WeakMap(); // element -> corner hit time
+        const clips = []; // { url, time, corner, type }
+        let gallery = null;
+        
+        function isSupported() {
+            return typeof window.MediaRecorder !== 'undefined' && typeof canvas.captureStream === 'function';
+        }
+        
+        function pickMimeType() {
+            const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+            return types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        }
+        
+        // Paint one frame: the theme background and every element, flashing the
+        // one that hit the corner
+        function paint(now) {
+            const scale = Math.min(1, CLIP_MAX_WIDTH / sim.width);
+            const width = Math.round(sim.width * scale);
+            const height = Math.round(sim.height * scale);
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+            
+            const theme = currentTheme();
+            const background = ctx.createLinearGradient(0, height, width, 0);
+            theme.gradient.forEach((color, i) => background.addColorStop(i / (theme.gradient.length - 1), color));
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+            
+            ctx.setTransform(scale, 0, 0, scale, 0, 0);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            sim.elements.forEach(element => {
+                const centerX = element.body.position.x + element.offsetX;
+                const centerY = element.body.position.y + element.offsetY;
+                const label = element.label;
+                if (label && label.image) {
+                    ctx.drawImage(label.image, centerX - element.width / 2, centerY - element.height / 2,
+                        element.width, element.height);
+                    return;
+                }
+                
+                const hitTime = flashes.get(element);
+                ctx.font = labelFont(getBaseFontSize() * element.scale);
+                ctx.fillStyle = hitTime !== undefined && now - hitTime < CLIP_FLASH_MS ? theme.flash : elementColor(element);
+                ctx.fillText(label ? label.text : '', centerX, centerY);
+            });
+        }
+        
+        // Where the first WebM cluster starts in a slice (-1 if none does)
+        function findCluster(blob) {
+            return blob.arrayBuffer().then(buffer => {
+                const bytes = new Uint8Array(buffer);
+                for (let i = 0; i + WEBM_CLUSTER_ID.length <= bytes.length; i++) {
+                    if (WEBM_CLUSTER_ID.every((byte, j) => bytes[i + j] === byte)) return i;
+                }
+                return -1;
+            });
+        }
+        
+        // The first slice's bytes up to its first cluster - the header, without the
+        // recording's opening frames. Other containers keep the whole slice.
+        function readHeader(blob) {
+            return findCluster(blob).then(start => start === -1 ? blob : blob.slice(0, start));
+        }
+        
+        // Slices from the first cluster on, dropping the partial cluster before it
+        function trimToCluster(data) {
+            if (data.length === 0) return Promise.resolve([]);
+            return findCluster(data[0]).then(start => {
+                if (start === -1) return trimToCluster(data.slice(1));
+                return [data[0].slice(start)].concat(data.slice(1));
+            });
+        }
+        
+        function onSlice(event) {
+            if (!event.data || event.data.size === 0) return;
+            if (!header) {
+                header = readHeader(event.data);
+                return;
+            }
+            
+            // Rewound (time controls) - what was recorded is no longer the past
+            const now = sim.time;
+            if (slices.length > 0 && now < slices[slices.length - 1].time) {
+                slices = [];
+                pending = pending.filter(hit => hit.time <= now);
+            }
+            slices.push({ data: event.data, time: now });
+            
+            // Hits whose post-roll has now been recorded
+            pending = pending.filter(hit => {
+                if (now < hit.time + CLIP_AFTER_MS) return true;
+                saveClip(hit);
+                return false;
+            });
+            
+            // Only ever drop from the front, so the slices kept stay one unbroken stream
+            const oldest = pending.reduce((time, hit) => Math.min(time, hit.time), now);
+            while (slices.length > MAX_CLIP_SLICES || (slices.length > 0 && slices[0].time <= oldest - CLIP_BEFORE_MS)) {
+                slices.shift();
+            }
+        }
+        
+        function onCornerHit(event) {
+            if (event.manual || !stream || sim.fastForwarding || sim.replaying) return;
+            flashes.set(event.element, performance.now());
+            pending.push({ time: sim.time, date: Date.now(), corner: event.corner });
+        }
+        
+        // Trim to the slices from CLIP_BEFORE_MS before the hit up to now, just past
+        // CLIP_AFTER_MS after it (each slice is stamped when it arrives, so at its end)
+        function saveClip(hit) {
+            const type = recorder.mimeType || mimeType || 'video/webm';
+            const start = slices.findIndex(slice => slice.time > hit.time - CLIP_BEFORE_MS);
+            const data = start === -1 ? [] : slices.slice(start).map(slice => slice.data);
+            const frames = type.indexOf('webm') !== -1 ? trimToCluster(data) : Promise.resolve(data);
+            Promise.all([header, frames]).then(([head, kept]) => {
+                if (kept.length === 0) return; // No keyframe to start on
+                const blob = new Blob([head].concat(kept), { type: type });
+                clips.unshift({ url: URL.createObjectURL(blob), time: hit.date, corner: hit.corner, type: type });
+                while (clips.length > MAX_CLIPS) {
+                    URL.revokeObjectURL(clips.pop().url);
+                }
+                console.log('🎬 Saved a clip of the corner hit');
+                updateGallery();
+            });
+        }
+        
+        // Clip gallery - newest first, each with a preview and a download link
+        function buildGallery() {
+            const panel = document.createElement('div');
+            panel.className = 'clips-panel ui-panel';
+            panel.setAttribute('aria-label', 'Corner-hit clips');
+            
+            const title = document.createElement('h2');
+            title.textContent = 'Corner-hit clips';
+            panel.appendChild(title);
+            
+            const list = document.createElement('ul');
+            panel.appendChild(list);
+            
+            panel.list = list;
+            document.body.appendChild(panel);
+            return panel;
+        }
+        
+        function updateGallery() {
+            if (!gallery) gallery = buildGallery();
+            gallery.hidden = !stream || clips.length === 0;
+            
+            gallery.list.textContent = '';
+            clips.forEach(clip => {
+                const item = document.createElement('li');
+                
+                const video = document.createElement('video');
+                video.src = clip.url;
+                video.muted = true;
+                video.loop = true;
+                video.playsInline = true;
+                video.controls = true;
+                item.appendChild(video);
+                
+                const caption = document.createElement('span');
+                caption.textContent = new Date(clip.time).toLocaleTimeString() + ' - ' + clip.corner;
+                item.appendChild(caption);
+                
+                const link = document.createElement('a');
+                link.href = clip.url;
+                link.download = 'adlai-corner-hit-' + new Date(clip.time).toISOString().replace(/[:.]/g, '-') +
+                    (clip.type.indexOf('mp4') !== -1 ? '.mp4' : '.webm');
+                link.textContent = 'Download';
+                item.appendChild(link);
+                
+                gallery.list.appendChild(item);
+            });
+        }
+        
+        function start() {
+            if (stream) return;
+            if (!isSupported()) {
+                console.warn('Clip recorder needs MediaRecorder and canvas capture, which this browser lacks');
+                return;
+            }
+            
+            paint(performance.now());
+            stream = canvas.captureStream(CLIP_FPS);
+            mimeType = pickMimeType();
+            const options = { videoKeyFrameIntervalDuration: CLIP_SLICE_MS };
+            if (mimeType) options.mimeType = mimeType;
+            try {
+                recorder = new MediaRecorder(stream, options);
+            } catch (error) {
+                console.warn('Clip recorder unavailable:', error.message);
+                stop();
+                return;
+            }
+            recorder.ondataavailable = onSlice;
+            recorder.start(CLIP_SLICE_MS);
+            console.log('🎬 Clip recorder on');
+            if (gallery) updateGallery();
+        }
+        
+        function stop() {
+            if (!stream) return;
+            if (recorder) {
+                recorder.ondataavailable = null;
+                if (recorder.state !== 'inactive') recorder.stop();
+            }
+            recorder = null;
+            header = null;
+            slices = [];
+            pending = [];
+            stream.getTracks().forEach(track => track.stop());
+            stream = null;
+            if (gallery) updateGallery();
+        }
+        
+        // Called every frame; paints at most CLIP_FPS frames a second
+        function capture(now) {
+            if (!stream || now - lastCapture < 1000 / CLIP_FPS) return;
+            lastCapture = now;
+            paint(now);
+        }
+        
+        sim.on('corner-hit', onCornerHit);
+        
+        return {
+            start: start,
+            stop: stop,
+            capture: capture,
+            get clips() { return clips; }
+        };
+    }
+    
+    const clipRecorder = createClipRecorder();
+    
+    // Game mode - an opt-in layer over the scene with rounds, a score and a local
+    // high-score table per game. While a game runs, the difficulty's speed and
+    // corner threshold stand in for the configured ones (without saving them).
+    const GAME_DIFFICULTIES = {
+        easy: { speed: 2, cornerThreshold: 80, multiplier: 1, tapDistance: 160, spawnMs: 4000, limit: 12 },
+        normal: { speed: 3, cornerThreshold: 50, multiplier: 2, tapDistance: 110, spawnMs: 3000, limit: 10 },
+        hard: { speed: 5, cornerThreshold: 30, multiplier: 3, tapDistance: 70, spawnMs: 2000, limit: 8 }
+    };
+    
+    const GAME_MODES = {
+        predict: { title: 'Predict the corner', rounds: 5 },
+        tap: { title: 'Corner tap', rounds: 3, roundMs: 30000 },
+        survival: { title: 'Survival', rounds: 3, roundMs: 30000 }
+    };
+    
+    const GAME_CORNERS = [
+        ['top-left', '↖'], ['top-right', '↗'], ['bottom-left', '↙'], ['bottom-right', '↘']
+    ];
+    const GAME_BREAK_MS = 2000;          // Pause between rounds
+    const SURVIVAL_SHRINK = 0.9;         // Each survival round multiplies SCALE_FACTOR by this
+    const HIGH_SCORES_KEY = 'adlai.highscores';
+    const HIGH_SCORES_LIMIT = 5;
+    
+    function loadHighScores() {
+        try {
+            return JSON.parse(localStorage.getItem(HIGH_SCORES_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    function createGame() {
+        let state = null; // { mode, difficulty, round, score, phase, pick, roundEnds, nextSpawn, message }
+        let overrides = {}; // key -> { original, value }
+        let timer = null;
+        let panel = null;
+        let highScores = loadHighScores();
+        
+        function mode() {
+            return GAME_MODES[config.GAME_MODE];
+        }
+        
+        // Stand-in config values for the game, put back afterwards unless the
+        // setting was changed in the meantime
+        function override(key, value) {
+            if (!overrides[key]) overrides[key] = { original: config[key] };
+            overrides[key].value = value;
+            const oldValue = config[key];
+            config[key] = value;
+            applyConfigChange(key, oldValue);
+        }
+        
+        function restore() {
+            Object.keys(overrides).forEach(key => {
+                if (config[key] !== overrides[key].value) return;
+                const oldValue = config[key];
+                config[key] = overrides[key].original;
+                applyConfigChange(key, oldValue);
+            });
+            overrides = {};
+        }
+        
+        function start() {
+            if (!mode()) return;
+            quit();
+            
+            const difficulty = GAME_DIFFICULTIES[config.GAME_DIFFICULTY];
+            override('CONSTANT_SPEED', difficulty.speed);
+            override('CORNER_THRESHOLD', difficulty.cornerThreshold);
+            
+            state = { mode: config.GAME_MODE, difficulty: difficulty, round: 0, score: 0, phase: null, pick: null, roundEnds: null, breakEnds: null, nextSpawn: null, message: '' };
+            if (state.mode === 'survival' && sim.elements.length > 1) {
+                sim.resetAllElements();
+            }
+            timer = setInterval(tick, 250);
+            nextRound();
+            console.log('🎮 Game on: ' + mode().title + ' (' + config.GAME_DIFFICULTY + ')');
+        }
+        
+        function quit() {
+            clearInterval(timer);
+            timer = null;
+            restore();
+            if (state) {
+                state = null;
+                updatePanel();
+            }
+        }
+        
+        function nextRound() {
+            state.round++;
+            state.pick = null;
+            state.breakEnds = null;
+            if (state.mode === 'predict') {
+                state.phase = 'picking';
+                state.message = 'Pick the corner the next hit lands in';
+            } else {
+                state.phase = 'playing';
+                state.roundEnds = sim.time + mode().roundMs;
+                state.message = state.mode === 'tap'
+                    ? 'Tap elements just before they reach a corner'
+                    : 'Tap elements to clear them - don\'t let ' + state.difficulty.limit + ' pile up';
+                if (state.mode === 'survival') {
+                    override('SCALE_FACTOR', (overrides.SCALE_FACTOR ? overrides.SCALE_FACTOR.original : config.SCALE_FACTOR) *
+                        Math.pow(SURVIVAL_SHRINK, state.round - 1));
+                    state.nextSpawn = sim.time + state.difficulty.spawnMs / state.round;
+                }
+            }
+            announce('Round ' + state.round + ' of ' + mode().rounds + '. ' + state.message + '.');
+            updatePanel();
+        }
+        
+        function endRound(message) {
+            state.phase = 'break';
+            state.breakEnds = sim.time + GAME_BREAK_MS;
+            state.message = message;
+            announce(message);
+            updatePanel();
+        }
+        
+        function finish(message) {
+            clearInterval(timer);
+            timer = null;
+            restore();
+            state.phase = 'over';
+            
+            // Keep the best few per game
+            const entry = { score: state.score, difficulty: config.GAME_DIFFICULTY, date: Date.now() };
+            const table = (highScores[state.mode] || []).concat([entry])
+                .sort((a, b) => b.score - a.score)
+                .slice(0, HIGH_SCORES_LIMIT);
+            const isHighScore = table.indexOf(entry) !== -1;
+            highScores[state.mode] = table;
+            try {
+                localStorage.setItem(HIGH_SCORES_KEY, JSON.stringify(highScores));
+            } catch (e) {
+                // Storage unavailable (private mode etc.) - the table lasts this visit
+            }
+            
+            state.message = message + ' - ' + state.score + ' points' + (isHighScore ? ', a new high score!' : '');
+            announce(state.message);
+            console.log('🎮 ' + state.message);
+            updatePanel();
+        }
+        
+        function addScore(points, message) {
+            state.score += points * state.difficulty.multiplier;
+            state.message = message;
+            updatePanel();
+        }
+        
+        // Round clocks run on simulation time, so pausing pauses the game too
+        function tick() {
+            if (state && state.phase === 'break' && sim.time >= state.breakEnds) {
+                if (state.round < mode().rounds) {
+                    nextRound();
+                } else {
+                    finish('Game over');
+                }
+                return;
+            }
+            if (!state || state.phase !== 'playing') return;
+            
+            if (state.mode === 'survival') {
+                if (sim.time >= state.nextSpawn) {
+                    state.nextSpawn = sim.time + state.difficulty.spawnMs / state.round;
+                    const x = sim.width / 2 + (sim.random() - 0.5) * sim.width * 0.6;
+                    sim.createElement(x, 50, true);
+                }
+                if (sim.elements.length >= state.difficulty.limit) {
+                    finish('Overrun in round ' + state.round);
+                    return;
+                }
+            }
+            
+            if (state.roundEnds !== null && sim.time >= state.roundEnds) {
+                state.roundEnds = null;
+                if (state.mode === 'survival') {
+                    state.score += 250 * state.difficulty.multiplier;
+                    endRound('Survived round ' + state.round + '!');
+                } else {
+                    endRound('Round ' + state.round + ' over');
+                }
+                return;
+            }
+            updatePanel();
+        }
+        
+        function pick(corner) {
+            if (!state || state.phase !== 'picking') return;
+            state.pick = corner;
+            state.phase = 'playing';
+            state.message = 'Waiting for a corner hit...';
+            updatePanel();
+        }
+        
+        function onCornerHit(event) {
+            if (!state || state.mode !== 'predict' || state.phase !== 'playing' || event.manual) return;
+            // A goal isn't a corner anyone could have picked, and a rewound hit
+            // has already been seen
+            if (event.corner === 'goal' || sim.replaying) return;
+            if (event.corner === state.pick) {
+                state.score += 100 * state.difficulty.multiplier;
+                endRound('Called it - ' + event.corner + '!');
+            } else {
+                endRound('It went ' + event.corner + ', not ' + state.pick);
+            }
+        }
+        
+        // A tap on an element during a game. Returns true if the game used it.
+        function tapElement(element) {
+            if (!state || state.phase !== 'playing') return false;
+            
+            if (state.mode === 'tap') {
+                // Points for how close it is to the corner it's heading into
+                const approach = sim.cornerDistance(element);
+                const velocity = element.body.velocity;
+                const heading = (velocity.y < 0 ? 'top' : 'bottom') + '-' + (velocity.x < 0 ? 'left' : 'right');
+                if (approach.corner === heading && approach.distance < state.difficulty.tapDistance) {
+                    const points = Math.round(50 * (1 - approach.distance / state.difficulty.tapDistance)) + 10;
+                    addScore(points, 'Nice - ' + Math.round(approach.distance) + 'px from the corner');
+                } else {
+                    addScore(0, 'Too early');
+                }
+                return true;
+            }
+            if (state.mode === 'survival') {
+                // The last element stays, and smaller ones are worth more
+                if (sim.elements.length > 1) {
+                    addScore(Math.round(10 / element.scale), 'Cleared!');
+                    sim.retireElement(element, 'pop');
+                }
+                return true;
+            }
+            return false;
+        }
+        
+        function buildPanel() {
+            const gamePanel = document.createElement('div');
+            gamePanel.className = 'game-panel ui-panel';
+            
+            const title = document.createElement('h2');
+            gamePanel.appendChild(title);
+            
+            const status = document.createElement('p');
+            status.className = 'game-status';
+            gamePanel.appendChild(status);
+            
+            const message = document.createElement('p');
+            gamePanel.appendChild(message);
+            
+            const corners = document.createElement('div');
+            corners.className = 'game-corners';
+            GAME_CORNERS.forEach(([corner, arrow]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = arrow;
+                button.setAttribute('aria-label', corner.replace('-', ' '));
+                button.addEventListener('click', () => pick(corner));
+                corners.appendChild(button);
+            });
+            gamePanel.appendChild(corners);
+            
+            const startButton = document.createElement('button');
+            startButton.type = 'button';
+            startButton.addEventListener('click', () => {
+                if (state && state.phase !== 'over') {
+                    quit();
+                } else {
+                    start();
+                }
+            });
+            gamePanel.appendChild(startButton);
+            
+            const scores = document.createElement('ol');
+            scores.className = 'game-scores';
+            gamePanel.appendChild(scores);
+            
+            gamePanel.heading = title;
+            gamePanel.status = status;
+            gamePanel.message = message;
+            gamePanel.corners = corners;
+            gamePanel.startButton = startButton;
+            gamePanel.scores = scores;
+            document.body.appendChild(gamePanel);
+            return gamePanel;
+        }
+        
+        function updatePanel() {
+            if (!mode()) {
+                if (panel) panel.hidden = true;
+                return;
+            }
+            if (!panel) panel = buildPanel();
+            panel.hidden = false;
+            
+            panel.heading.textContent = mode().title + ' (' + config.GAME_DIFFICULTY + ')';
+            if (state) {
+                let status = 'Round ' + state.round + '/' + mode().rounds + ' · Score ' + state.score;
+                if (state.phase === 'playing' && state.roundEnds !== null) {
+                    status += ' · ' + Math.max(0, Math.ceil((state.roundEnds - sim.time) / 1000)) + 's';
+                }
+                panel.status.textContent = status;
+                panel.message.textContent = state.message;
+            } else {
+                panel.status.textContent = '';
+                panel.message.textContent = 'Press start to play';
+            }
+            panel.corners.hidden = !state || state.phase !== 'picking';
+            panel.startButton.textContent = state && state.phase !== 'over' ? 'Quit' : 'Start';
+            
+            panel.scores.textContent = '';
+            (highScores[config.GAME_MODE] || []).forEach(entry => {
+                const item = document.createElement('li');
+                item.textContent = entry.score + ' (' + entry.difficulty + ') - ' + new Date(entry.date).toLocaleDateString();
+                panel.scores.appendChild(item);
+            });
+        }
+        
+        sim.on('corner-hit', onCornerHit);
+        
+        return {
+            start: start,
+            quit: quit,
+            pick: pick,
+            tapElement: tapElement,
+            updatePanel: updatePanel,
+            get state() { return state; }
+        };
+    }
+    
+    const game = createGame();
+    
+    // Obstacles and the level editor. The simulation owns the layout (see setLayout
+    // in simulation.js); here it's drawn on an overlay canvas, saved to localStorage
+    // after every edit, and edited by placing pieces with the pointer while edit
+    // mode is on (E). Layouts can also be saved to and loaded from JSON files.
+    const LAYOUT_STORAGE_KEY = 'adlai.layout';
+    const EDITOR_TOOLS = [
+        ['bar', '▬ Bar'], ['deflector', '╱ Deflector'], ['circle', '● Circle'], ['goal', '◎ Goal'], ['erase', '✕ Erase']
+    ];
+    const EDITOR_ROTATE_STEP = 15; // degrees
+    
+    let obstacleCanvas = null;
+    
+    function drawObstacles(layout) {
+        if (!obstacleCanvas) {
+            obstacleCanvas = document.createElement('canvas');
+            obstacleCanvas.className = 'obstacle-overlay';
+            stage.appendChild(obstacleCanvas);
+        }
+        
+        // Match the playfield size at device resolution
+        const pixelRatio = window.devicePixelRatio || 1;
+        obstacleCanvas.width = Math.round(sim.width * pixelRatio);
+        obstacleCanvas.height = Math.round(sim.height * pixelRatio);
+        
+        const ctx = obstacleCanvas.getContext('2d');
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, sim.width, sim.height);
+        
+        const theme = currentTheme();
+        const unit = Math.min(sim.width, sim.height);
+        ctx.fillStyle = rgba(parseColor(theme.glow, 0.25));
+        ctx.strokeStyle = rgba(parseColor(theme.text, 0.8));
+        ctx.lineWidth = 2;
+        layout.obstacles.forEach(obstacle => {
+            const x = obstacle.x * sim.width;
+            const y = obstacle.y * sim.height;
+            ctx.beginPath();
+            if (obstacle.type === 'circle') {
+                ctx.arc(x, y, obstacle.radius * unit, 0, Math.PI * 2);
+            } else {
+                const angle = obstacle.angle * Math.PI / 180;
+                const halfLength = obstacle.length * unit / 2;
+                const halfThickness = Simulation.OBSTACLE_THICKNESS[obstacle.type] / 2;
+                const corners = [[-halfLength, -halfThickness], [halfLength, -halfThickness], [halfLength, halfThickness], [-halfLength, halfThickness]];
+                corners.forEach(([cx, cy], i) => {
+                    const px = x + cx * Math.cos(angle) - cy * Math.sin(angle);
+                    const py = y + cx * Math.sin(angle) + cy * Math.cos(angle);
+                    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+                });
+                ctx.closePath();
+            }
+            ctx.fill();
+            ctx.stroke();
+        });
+        
+        // Goals glow in the flash colour
+        ctx.fillStyle = rgba(parseColor(theme.flash, 0.15));
+        ctx.strokeStyle = theme.flash;
+        ctx.setLineDash([6, 4]);
+        layout.goals.forEach(goal => {
+            ctx.beginPath();
+            ctx.arc(goal.x * sim.width, goal.y * sim.height, goal.radius * unit, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+    }
+    
+    // Rebuilt on every edit and resize
+    sim.on('layout', function(event) {
+        drawObstacles(event.layout);
+    });
+    
+    function loadLayout() {
+        try {
+            return JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY));
+        } catch (e) {
+            return null;
+        }
     }
     
+    function saveLayout() {
+        try {
+            localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(sim.getLayout()));
+        } catch (e) {
+            // Storage unavailable (private mode etc.) - the layout lasts this visit
+        }
+    }
+    
+    // A shared scene replays without the viewer's own obstacles
+    if (!scene) {
+        sim.setLayout(loadLayout());
+    } else {
+        drawObstacles(sim.getLayout());
+    }
+    
+    function createEditor() {
+        let active = false;
+        let tool = 'bar';
+        const angles = {
+            bar: Simulation.OBSTACLE_DEFAULTS.bar.angle,
+            deflector: Simulation.OBSTACLE_DEFAULTS.deflector.angle
+        };
+        let panel = null;
+        
+        function edit(change) {
+            const layout = sim.getLayout();
+            change(layout);
+            sim.setLayout(layout);
+            saveLayout();
+        }
+        
+        function place(x, y) {
+            const point = { x: x / sim.width, y: y / sim.height };
+            if (tool === 'erase') {
+                const hit = sim.obstacleAt(x, y);
+                if (!hit) return;
+                edit(layout => {
+                    (hit.kind === 'goal' ? layout.goals : layout.obstacles).splice(hit.index, 1);
+                });
+            } else if (tool === 'goal') {
+                edit(layout => layout.goals.push(Object.assign(point, Simulation.OBSTACLE_DEFAULTS.goal)));
+            } else {
+                const piece = Object.assign({ type: tool }, Simulation.OBSTACLE_DEFAULTS[tool], point);
+                if (angles[tool] !== undefined) piece.angle = angles[tool];
+                edit(layout => layout.obstacles.push(piece));
+            }
+        }
+        
+        function onPointerDown(e) {
+            if (!active || isUiEvent(e) || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            
+            // Placing pieces replaces grabbing elements while editing
+            e.stopImmediatePropagation();
+            const point = toPlayfield(e.clientX, e.clientY);
+            place(point.x, point.y);
+        }
+        document.addEventListener('pointerdown', onPointerDown);
+        
+        function saveToFile() {
+            const blob = new Blob([JSON.stringify(sim.getLayout(), null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'adlai-layout.json';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
+        
+        function loadFromFile(file) {
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    sim.setLayout(JSON.parse(reader.result));
+                    saveLayout();
+                } catch (e) {
+                    window.alert('That file isn\'t a layout.');
+                }
+            };
+            reader.readAsText(file);
+        }
+        
+        function button(label, onClick) {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = label;
+            element.addEventListener('click', onClick);
+            return element;
+        }
+        
+        function buildPanel() {
+            const editorPanel = document.createElement('div');
+            editorPanel.className = 'editor-panel ui-panel';
+            editorPanel.setAttribute('aria-label', 'Level editor');
+            
+            editorPanel.tools = EDITOR_TOOLS.map(([name, label]) => {
+                const toolButton = button(label, () => {
+                    tool = name;
+                    updatePanel();
+                });
+                toolButton.tool = name;
+                editorPanel.appendChild(toolButton);
+                return toolButton;
+            });
+            
+            editorPanel.rotate = button('', () => {
+                if (angles[tool] === undefined) return;
+                angles[tool] = (angles[tool] + EDITOR_ROTATE_STEP) % 180;
+                updatePanel();
+            });
+            editorPanel.appendChild(editorPanel.rotate);
+            
+            // Load reads a file picked through a hidden file input
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = 'application/json,.json';
+            fileInput.hidden = true;
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) loadFromFile(fileInput.files[0]);
+                fileInput.value = '';
+            });
+            editorPanel.appendChild(fileInput);
+            
+            editorPanel.appendChild(button('Save', saveToFile));
+            editorPanel.appendChild(button('Load', () => fileInput.click()));
+            editorPanel.appendChild(button('Clear', () => {
+                if (!window.confirm('Remove every obstacle and goal?')) return;
+                edit(layout => {
+                    layout.obstacles = [];
+                    layout.goals = [];
+                });
+            }));
+            editorPanel.appendChild(button('Done', toggle));
+            
+            document.body.appendChild(editorPanel);
+            return editorPanel;
+        }
+        
+        function updatePanel() {
+            if (!panel) panel = buildPanel();
+            panel.hidden = !active;
+            panel.tools.forEach(toolButton => {
+                toolButton.setAttribute('aria-pressed', String(toolButton.tool === tool));
+            });
+            panel.rotate.disabled = angles[tool] === undefined;
+            panel.rotate.textContent = '⟳ ' + (angles[tool] !== undefined ? angles[tool] + '°' : '');
+        }
+        
+        function toggle() {
+            active = !active;
+            document.body.classList.toggle('editing', active);
+            updatePanel();
+            console.log(active ? '🧱 Edit mode on - click to place obstacles' : '🧱 Edit mode off');
+        }
+        
+        return {
+            toggle: toggle,
+            get active() { return active; }
+        };
+    }
+    
+    const editor = createEditor();
+    
+    // Time controls - pause, speed, single steps and rewind. Every
+    // HISTORY_INTERVAL_MS of simulation time a snapshot of the scene goes into a
+    // ring buffer holding the last HISTORY_LENGTH of them: the simulation's own
+    // state (see snapshot in simulation.js) plus what the page keeps per element -
+    // colour state and any running animation - and the label sequence. Rewinding
+    // restores one and pauses; playing on from there replays the scene exactly
+    // (unless something is changed) and drops the snapshots that came after it.
+    const TIME_SPEEDS = [0.25, 0.5, 1, 2];
+    const HISTORY_INTERVAL_MS = 100;
+    const HISTORY_LENGTH = 100; // 10 seconds
+    
+    function createTimeControls() {
+        let paused = false;
+        let speed = 1;
+        const history = new Array(HISTORY_LENGTH);
+        let historyStart = 0; // Oldest snapshot's slot
+        let historyCount = 0;
+        let cursor = -1;      // Position (0 = oldest) of the snapshot being shown while rewound
+        let panel = null;
+        
+        function historyAt(position) {
+            return history[(historyStart + position) % HISTORY_LENGTH];
+        }
+        
+        function record() {
+            // Rewinding a shared playfield would duplicate or lose elements that
+            // have moved between windows, so nothing is kept while sharing
+            if (config.SHARED_PLAYFIELD) {
+                if (historyCount > 0) clearHistory();
+                return;
+            }
+            
+            // Picking up from a rewound moment: what came after it no longer happened
+            if (cursor !== -1) {
+                historyCount = cursor + 1;
+                cursor = -1;
+            }
+            
+            const latest = historyCount > 0 ? historyAt(historyCount - 1) : null;
+            if (latest && sim.time - latest.sim.time < HISTORY_INTERVAL_MS) return;
+            
+            const entry = {
+                sim: sim.snapshot(),
+                labelIndex: labelIndex,
+                elements: sim.elements.map(element => {
+                    const animation = element.view && element.view.animation;
+                    return {
+                        element: element,
+                        color: Object.assign({}, elementColorState.get(element)),
+                        // Animations run on the clock, so keep how far along they were
+                        animation: animation && {
+                            name: animation.name,
+                            direction: animation.direction,
+                            elapsed: performance.now() - animation.start
+                        }
+                    };
+                })
+            };
+            if (historyCount < HISTORY_LENGTH) {
+                history[(historyStart + historyCount) % HISTORY_LENGTH] = entry;
+                historyCount++;
+            } else {
+                history[historyStart] = entry;
+                historyStart = (historyStart + 1) % HISTORY_LENGTH;
+            }
+        }
+        
+        function clearHistory() {
+            history.fill(undefined);
+            historyStart = 0;
+            historyCount = 0;
+            cursor = -1;
+            updatePanel();
+        }
+        
+        function show(position) {
+            const entry = historyAt(position);
+            cursor = position;
+            paused = true;
+            
+            sim.restore(entry.sim);
+            labelIndex = entry.labelIndex;
+            
+            const now = performance.now();
+            entry.elements.forEach(saved => {
+                elementColorState.set(saved.element, Object.assign({}, saved.color));
+                saved.element.view.animation = saved.animation && {
+                    name: saved.animation.name,
+                    direction: saved.animation.direction,
+                    start: now - saved.animation.elapsed,
+                    done: false
+                };
+            });
+            updatePanel();
+        }
+        
+        function scaled(deltaTime) {
+            return deltaTime * speed * (isReducedMotion() ? REDUCED_MOTION_SPEED : 1);
+        }
+        
+        // Advance the scene by a frame's worth of real time
+        function advance(deltaTime) {
+            if (paused) return;
+            sim.advance(scaled(deltaTime));
+            record();
+        }
+        
+        // Play through real time the page missed over the next frames (see
+        // fastForward). Nothing happens while paused. Returns whether it will.
+        function catchUp(elapsed) {
+            if (paused) return false;
+            sim.fastForward(scaled(elapsed));
+            return true;
+        }
+        
+        function setPaused(value) {
+            paused = value;
+            updatePanel();
+            announce(paused ? 'Paused.' : 'Resumed.');
+        }
+        
+        // One fixed physics step while paused
+        function stepForward() {
+            if (!paused) setPaused(true);
+            sim.step(Simulation.FIXED_STEP_MS);
+            record();
+            updatePanel();
+        }
+        
+        function stepBack() {
+            if (historyCount === 0) return;
+            const current = cursor === -1 ? historyCount - 1 : cursor;
+            show(Math.max(0, current - 1));
+        }
+        
+        function changeSpeed(direction) {
+            const index = TIME_SPEEDS.indexOf(speed) + direction;
+            if (index < 0 || index >= TIME_SPEEDS.length) return;
+            speed = TIME_SPEEDS[index];
+            updatePanel();
+            announce('Speed ' + speed + 'x.');
+        }
+        
+        function button(label, title, onClick) {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = label;
+            element.title = title;
+            element.setAttribute('aria-label', title);
+            element.addEventListener('click', onClick);
+            return element;
+        }
+        
+        function buildPanel() {
+            const timePanel = document.createElement('div');
+            timePanel.className = 'time-panel ui-panel';
+            timePanel.setAttribute('aria-label', 'Time controls');
+            
+            timePanel.appendChild(button('⏪', 'Rewind (,)', stepBack));
+            timePanel.playButton = button('', 'Pause or play (Space)', () => setPaused(!paused));
+            timePanel.appendChild(timePanel.playButton);
+            timePanel.appendChild(button('⏩', 'Step forward (.)', stepForward));
+            
+            timePanel.speed = document.createElement('select');
+            timePanel.speed.setAttribute('aria-label', 'Speed');
+            TIME_SPEEDS.forEach(value => {
+                const option = document.createElement('option');
+                option.value = String(value);
+                option.textContent = value + 'x';
+                timePanel.speed.appendChild(option);
+            });
+            timePanel.speed.addEventListener('change', () => {
+                speed = parseFloat(timePanel.speed.value);
+            });
+            timePanel.appendChild(timePanel.speed);
+            
+            // Scrub through the history
+            timePanel.scrubber = document.createElement('input');
+            timePanel.scrubber.type = 'range';
+            timePanel.scrubber.min = '0';
+            timePanel.scrubber.step = '1';
+            timePanel.scrubber.setAttribute('aria-label', 'Rewind position');
+            timePanel.scrubber.addEventListener('input', () => {
+                show(parseInt(timePanel.scrubber.value, 10));
+            });
+            timePanel.appendChild(timePanel.scrubber);
+            
+            document.body.appendChild(timePanel);
+            return timePanel;
+        }
+        
+        function updatePanel() {
+            if (!panel && !config.TIME_CONTROLS) return;
+            if (!panel) panel = buildPanel();
+            panel.hidden = !config.TIME_CONTROLS;
+            panel.playButton.textContent = paused ? '▶' : '⏸';
+            panel.speed.value = String(speed);
+            panel.scrubber.max = String(Math.max(0, historyCount - 1));
+            panel.scrubber.value = String(cursor === -1 ? historyCount - 1 : cursor);
+            panel.scrubber.disabled = historyCount < 2;
+        }
+        
+        // Snapshots don't hold the obstacles, so a new layout starts the history over
+        sim.on('layout', clearHistory);
+        
+        return {
+            advance: advance,
+            catchUp: catchUp,
+            stepForward: stepForward,
+            stepBack: stepBack,
+            changeSpeed: changeSpeed,
+            updatePanel: updatePanel,
+            setPaused: setPaused,
+            togglePause: () => setPaused(!paused),
+            get paused() { return paused; }
+        };
+    }
+    
+    const timeControls = createTimeControls();
+    
+    let lastTime = performance.now();
+    
+    function animate(currentTime) {
+        // Calculate delta time for smooth animation regardless of refresh rate
+        // (never negative - lastTime can be reset past a frame already queued)
+        const deltaTime = Math.max(0, currentTime - lastTime);
+        lastTime = currentTime;
+        
+        const engineStart = performance.now();
+        timeControls.advance(deltaTime);
+        const engineMs = performance.now() - engineStart;
+        drawScene();
+        
+        if (config.FORECAST_OVERLAY) {
+            drawForecastOverlay();
+        }
+        clipRecorder.capture(currentTime);
+        debugOverlay.frame(currentTime, engineMs);
+        
+        requestAnimationFrame(animate);
+    }
+    
+    // Background tabs get no animation frames, so the scene used to stop while
+    // hidden. Now the time away is played through on return (up to
+    // CATCH_UP_SECONDS, over the first few frames back) and whatever happened is
+    // summed up in a notice. Physics callbacks run on simulation time (see
+    // schedule), so none fire while it's stopped.
+    const AWAY_NOTICE_MS = 8000;
+    let hiddenSince = null;
+    let awayFor = null; // Time away still being caught up on
+    let awayNotice = null;
+    let awayNoticeTimer = null;
+    
+    function plural(count, word) {
+        return count + ' ' + word + (count === 1 ? '' : 's');
+    }
+    
+    function showAwayNotice(away, report) {
+        const happened = [];
+        if (report.cornerHits > 0) happened.push(plural(report.cornerHits, 'corner hit'));
+        if (report.goals > 0) happened.push(plural(report.goals, 'goal'));
+        if (report.spawned > 0) happened.push(plural(report.spawned, 'new logo'));
+        if (report.resets > 0) happened.push(plural(report.resets, 'reset'));
+        if (happened.length === 0) return;
+        
+        let message = 'While you were away (' + formatDuration(away) + '): ' + happened.join(', ') + '.';
+        if (report.skipped > 0) {
+            message += ' Only the first ' + formatDuration(report.elapsed) + ' played out.';
+        }
+        
+        if (!awayNotice) {
+            awayNotice = document.createElement('div');
+            awayNotice.className = 'away-notice ui-panel';
+            awayNotice.addEventListener('click', () => {
+                awayNotice.hidden = true;
+            });
+            document.body.appendChild(awayNotice);
+        }
+        awayNotice.textContent = message;
+        awayNotice.hidden = false;
+        clearTimeout(awayNoticeTimer);
+        awayNoticeTimer = setTimeout(() => {
+            awayNotice.hidden = true;
+        }, AWAY_NOTICE_MS);
+        
+        announce(message);
+        console.log('💤 ' + message);
+    }
+    
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') {
+            hiddenSince = performance.now();
+            return;
+        }
+        if (hiddenSince === null) return;
+        
+        const away = performance.now() - hiddenSince;
+        hiddenSince = null;
+        lastTime = performance.now(); // The next frame carries on from here
+        
+        if (timeControls.catchUp(away)) awayFor = (awayFor || 0) + away;
+    });
+    
+    sim.on('caught-up', function(report) {
+        if (awayFor !== null) showAwayNotice(awayFor, report);
+        awayFor = null;
+    });
+    
+    // Initialize after font loads
+    function initialize() {
+        // The original text element stays as the page's label for screen readers,
+        // hidden from view (the bouncing copies are hidden from screen readers)
+        text.classList.add('visually-hidden');
+        
+        // Create the first bouncing element
+        sim.createElement();
+        
+        if (config.STATS_OVERLAY) {
+            setStatsPanelVisible(true);
+        }
+        
+        updateDimensions();
+        
+        if (config.SHARED_PLAYFIELD) {
+            sharedPlayfield.start();
+        }
+        if (config.CLIP_RECORDER) {
+            clipRecorder.start();
+        }
+        game.updatePanel();
+        timeControls.updatePanel();
+        debugOverlay.update();
+        
+        // Start animation with initial timestamp
+        lastTime = performance.now();
+        animate(lastTime);
+    }
+    
+    // Wait for fonts and logo images to load before starting
+    const fontsReady = document.fonts && document.fonts.ready
+        ? document.fonts.ready
+        : new Promise(resolve => setTimeout(resolve, 100)); // Fallback for browsers without Font Loading API
+    const labelsReady = loadLabels(config.LABELS).then(loaded => {
+        labels = loaded;
+    });
+    Promise.all([fontsReady, labelsReady]).then(initialize);
+    
     // Handle window resize with debouncing
     let resizeTimeout;
     window.addEventListener('resize', function() {
         clearTimeout(resizeTimeout);
         resizeTimeout = setTimeout(function() {
             updateDimensions();
-            
-            // Constrain all bodies to new bounds
-            bouncingElements.forEach(element => {
-                const body = element.body;
-                const x = Math.max(element.width / 2, Math.min(body.position.x, windowWidth - element.width / 2));
-                const y = Math.max(element.height / 2, Math.min(body.position.y, windowHeight - element.height / 2));
-                Body.setPosition(body, { x: x, y: y });
-            });
         }, 100);
     });
     
-    // Prevent scrolling on mobile
+    // Opening a different scene link restarts with that scene
+    window.addEventListener('hashchange', function() {
+        window.location.reload();
+    });
+    
+    // Grab, drag and fling - pointer events hit-tested against the elements, so it
+    // works the same with either renderer. Each pointer (finger) holds its own element.
+    const FLING_HISTORY_MS = 100; // Release velocity is measured over this much movement
+    const TAP_SLOP = 8;           // Moving less than this (px) is a tap, not a drag
+    const grabs = new Map();      // pointerId -> { element, offsetX, offsetY, moved, history }
+    let grabJustEnded = false;    // Swallow the click/touchend that follows a drag
+    
+    // Client (window) coordinates to playfield coordinates
+    function toPlayfield(clientX, clientY) {
+        const rect = stage.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) / stageScale,
+            y: (clientY - rect.top) / stageScale
+        };
+    }
+    
+    // Topmost element whose visual box is under the point (newest are drawn on top)
+    function elementAt(x, y, slop) {
+        const elements = sim.elements;
+        for (let i = elements.length - 1; i >= 0; i--) {
+            const element = elements[i];
+            if (element.grabbed) continue;
+            
+            const centerX = element.body.position.x + element.offsetX;
+            const centerY = element.body.position.y + element.offsetY;
+            if (Math.abs(x - centerX) <= element.width / 2 + slop &&
+                Math.abs(y - centerY) <= element.height / 2 + slop) {
+                return element;
+            }
+        }
+        return null;
+    }
+    
+    function startGrab(e) {
+        grabJustEnded = false;
+        if (isUiEvent(e) || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        
+        const point = toPlayfield(e.clientX, e.clientY);
+        const element = elementAt(point.x, point.y, e.pointerType === 'touch' ? 10 : 0);
+        if (!element) return;
+        
+        // Not taken out of the physics until it's dragged, so a tap leaves it (and
+        // any corner hit it's in the middle of) alone
+        const body = element.body;
+        grabs.set(e.pointerId, {
+            element: element,
+            // Hold it by the point that was grabbed, not by its centre
+            offsetX: body.position.x - point.x,
+            offsetY: body.position.y - point.y,
+            moved: false,
+            history: [{ x: point.x, y: point.y, time: e.timeStamp }]
+        });
+    }
+    
+    function moveGrab(e) {
+        const grab = grabs.get(e.pointerId);
+        if (!grab) return;
+        
+        const point = toPlayfield(e.clientX, e.clientY);
+        if (!grab.moved) {
+            const start = grab.history[0];
+            if (Math.abs(point.x - start.x) <= TAP_SLOP && Math.abs(point.y - start.y) <= TAP_SLOP) return;
+            grab.moved = true;
+            sim.grab(grab.element, point.x + grab.offsetX, point.y + grab.offsetY);
+        }
+        
+        grab.history.push({ x: point.x, y: point.y, time: e.timeStamp });
+        while (grab.history.length > 2 && e.timeStamp - grab.history[0].time > FLING_HISTORY_MS) {
+            grab.history.shift();
+        }
+        sim.drag(grab.element, point.x + grab.offsetX, point.y + grab.offsetY);
+    }
+    
+    function endGrab(e) {
+        const grab = grabs.get(e.pointerId);
+        if (!grab) return;
+        grabs.delete(e.pointerId);
+        
+        // A tap leaves the element on its way and still counts toward the manual
+        // trigger - unless a game takes it
+        if (!grab.moved) {
+            if (game.tapElement(grab.element)) grabJustEnded = true;
+            return;
+        }
+        
+        // Fling velocity from the recent pointer movement (px/ms)
+        const first = grab.history[0];
+        const last = grab.history[grab.history.length - 1];
+        const elapsed = last.time - first.time;
+        const velocity = elapsed > 0 && e.timeStamp - last.time < FLING_HISTORY_MS
+            ? { x: (last.x - first.x) / elapsed, y: (last.y - first.y) / elapsed }
+            : { x: 0, y: 0 };
+        
+        sim.release(grab.element, velocity);
+        grabJustEnded = true;
+    }
+    
+    document.addEventListener('pointerdown', startGrab);
+    document.addEventListener('pointermove', moveGrab);
+    document.addEventListener('pointerup', endGrab);
+    document.addEventListener('pointercancel', endGrab);
+    
+    // An element that disappears (e.g. in a reset) drops out of any pointer holding it
+    sim.on('remove', function(event) {
+        grabs.forEach((grab, pointerId) => {
+            if (grab.element === event.element) grabs.delete(pointerId);
+        });
+    });
+    
+    // A rewind lets go of everything
+    sim.on('restore', function() {
+        grabs.clear();
+    });
+    
+    // Physics mode inputs. Field mode follows the mouse while it's over the page,
+    // or a finger while it's down. Tilt mode turns DeviceOrientation angles into
+    // a gravity direction in screen coordinates.
+    function updateAttractor(e) {
+        if (config.PHYSICS_MODE !== 'field') return;
+        if (e.type === 'pointerup' || e.type === 'pointercancel' || e.type === 'pointerleave' ||
+            (e.pointerType !== 'mouse' && e.type === 'pointermove' && e.buttons === 0)) {
+            sim.setAttractor(null);
+            return;
+        }
+        sim.setAttractor(toPlayfield(e.clientX, e.clientY));
+    }
+    
+    ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => {
+        document.addEventListener(type, updateAttractor);
+    });
+    document.documentElement.addEventListener('pointerleave', updateAttractor);
+    
+    function handleOrientation(e) {
+        if (e.beta === null || e.gamma === null) return;
+        
+        // Tipping the top edge away (beta) pulls down the screen, tipping
+        // sideways (gamma) pulls across it - in the device's natural portrait frame
+        const x = Math.sin(e.gamma * Math.PI / 180);
+        const y = Math.sin(e.beta * Math.PI / 180);
+        
+        // Turn that into the current screen orientation
+        const angle = ((screen.orientation && screen.orientation.angle) || window.orientation || 0) * Math.PI / 180;
+        sim.setTilt(
+            x * Math.cos(angle) + y * Math.sin(angle),
+            -x * Math.sin(angle) + y * Math.cos(angle)
+        );
+    }
+    window.addEventListener('deviceorientation', handleOrientation);
+    
+    // iOS only delivers orientation events after asking from a tap
+    let tiltPermissionAsked = false;
+    function requestTiltPermission() {
+        if (tiltPermissionAsked || config.PHYSICS_MODE !== 'tilt') return;
+        if (typeof DeviceOrientationEvent === 'undefined' || typeof DeviceOrientationEvent.requestPermission !== 'function') return;
+        tiltPermissionAsked = true;
+        DeviceOrientationEvent.requestPermission().catch(error => {
+            console.warn('Tilt unavailable:', error.message);
+        });
+    }
+    document.addEventListener('pointerup', requestTiltPermission);
+    
+    // Screen-reader announcements for corner hits, resets and keyboard actions
+    const announcer = document.createElement('div');
+    announcer.className = 'visually-hidden';
+    announcer.setAttribute('role', 'status');
+    announcer.setAttribute('aria-live', 'polite');
+    document.body.appendChild(announcer);
+    
+    function announce(message) {
+        // Clear first so repeating the same message is still read out
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    }
+    
+    sim.on('corner-hit', function(event) {
+        if (sim.fastForwarding) return; // Summed up afterwards instead
+        if (event.manual) {
+            announce('New logo spawned.');
+        } else {
+            announce(event.corner === 'goal'
+                ? 'Goal! ' + event.count + ' so far.'
+                : 'Corner hit in the ' + event.corner.replace('-', ' ') + ' corner! ' + event.count + ' so far.');
+        }
+    });
+    
+    sim.on('reset-start', function() {
+        if (sim.fastForwarding) return; // Summed up afterwards instead
+        announce('Starting over.');
+    });
+    
+    // Keyboard shortcuts (ignored while typing or using the panels and buttons)
+    document.addEventListener('keydown', function(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+        const key = e.key.toLowerCase();
+        
+        // Escape closes the settings from anywhere, including inside the panel
+        if (key === 'escape' && settingsPanel && !settingsPanel.hidden) {
+            toggleSettingsPanel();
+            settingsToggle.focus();
+            return;
+        }
+        if (isUiEvent(e) || (e.target instanceof Element && e.target.closest('input, select, textarea'))) return;
+        
+        if (key === ' ' || key === 'p') {
+            timeControls.togglePause();
+        } else if (key === '.') {
+            timeControls.stepForward();
+        } else if (key === ',') {
+            timeControls.stepBack();
+        } else if (key === '[' || key === ']') {
+            timeControls.changeSpeed(key === ']' ? 1 : -1);
+        } else if (key === 'n' || key === 'enter') {
+            // Same as completing the click/tap sequence
+            audio.unlock();
+            sim.cornerHitEffect(true);
+        } else if (key === 'r') {
+            sim.resetAllElements();
+        } else if (key === 'f') {
+            screensaver.toggle();
+        } else if (key === 'd') {
+            setConfig('DEBUG_OVERLAY', !config.DEBUG_OVERLAY);
+        } else if (key === 'e') {
+            editor.toggle();
+            announce(editor.active ? 'Edit mode on. Click to place obstacles.' : 'Edit mode off.');
+        } else if (key === 's') {
+            toggleSettingsPanel();
+            if (!settingsPanel.hidden) {
+                const firstInput = settingsPanel.querySelector('input, select');
+                if (firstInput) firstInput.focus();
+            }
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
+    
+    // Prevent scrolling on mobile (but let the settings sliders be dragged)
     document.addEventListener('touchmove', function(e) {
+        if (isUiEvent(e)) return;
         e.preventDefault();
     }, { passive: false });
     
     // Add click/tap listeners for manual trigger
-    document.addEventListener('click', handleClickOrTap);
+    // (but not for the end of a drag)
+    document.addEventListener('click', function(e) {
+        if (isUiEvent(e)) return;
+        if (grabJustEnded) {
+            grabJustEnded = false;
+            return;
+        }
+        handleClickOrTap();
+    });
     document.addEventListener('touchend', function(e) {
+        if (isUiEvent(e)) return;
         e.preventDefault();
+        if (grabJustEnded) {
+            grabJustEnded = false;
+            return;
+        }
         handleClickOrTap();
     }, { passive: false });
     
+    // Public API - window.adlai lets other scripts on the page drive the scene:
+    //   adlai.spawn()              add an element, like completing the click sequence
+    //   adlai.reset()              fade everything out and start over
+    //   adlai.pause(paused = true) pause, or resume with pause(false)
+    //   adlai.setConfig(key, value) change a setting for this visit, by its constant
+    //                              or URL name (e.g. 'CONSTANT_SPEED' or 'speed');
+    //                              returns the value in effect (undefined if unknown)
+    //   adlai.getState()           time, pause state, corner hits, playfield size,
+    //                              settings and every element
+    // and follow it through CustomEvents on window, each detail describing the
+    // element involved ({ id, scale, label, position, velocity }) plus:
+    //   adlai:corner-hit     corner, walls, count (goals have corner 'goal')
+    //   adlai:near-corner    corner, distance, walls
+    //   adlai:wall-bounce    walls
+    //   adlai:spawn          -
+    //   adlai:reset          - (no element; fired once the fresh element is in)
+    //   adlai:manual-trigger count (no element; a spawn from clicks, keys or the API)
+    //   adlai:caught-up      elapsed, skipped, cornerHits, goals, spawned, resets (no
+    //                        element; sums up time played through after a hidden tab,
+    //                        in place of the events above)
+    // e.g. window.addEventListener('adlai:corner-hit', e => console.log(e.detail.corner));
+    function describeElement(element) {
+        const label = element.label;
+        return {
+            id: element.id,
+            scale: element.scale,
+            label: label ? (label.image ? label.image.src : label.text) : null,
+            position: { x: element.body.position.x, y: element.body.position.y },
+            velocity: { x: element.body.velocity.x, y: element.body.velocity.y }
+        };
+    }
+    
+    function dispatch(type, detail) {
+        if (sim.fastForwarding) return; // Summed up in adlai:caught-up instead
+        if (sim.replaying) return; // Already sent the first time round
+        window.dispatchEvent(new CustomEvent('adlai:' + type, { detail: detail }));
+    }
+    
+    sim.on('corner-hit', function(event) {
+        if (event.manual) {
+            dispatch('manual-trigger', { count: event.count });
+            return;
+        }
+        dispatch('corner-hit', Object.assign(describeElement(event.element), {
+            corner: event.corner,
+            walls: event.walls || [],
+            count: event.count
+        }));
+    });
+    
+    sim.on('near-miss', function(event) {
+        dispatch('near-corner', Object.assign(describeElement(event.element), {
+            corner: event.corner,
+            distance: event.distance,
+            walls: [event.wall]
+        }));
+    });
+    
+    sim.on('wall-bounce', function(event) {
+        dispatch('wall-bounce', Object.assign(describeElement(event.element), { walls: [event.wall] }));
+    });
+    
+    sim.on('spawn', function(event) {
+        dispatch('spawn', describeElement(event.element));
+    });
+    
+    sim.on('reset', function() {
+        dispatch('reset', {});
+    });
+    
+    sim.on('caught-up', function(report) {
+        dispatch('caught-up', Object.assign({}, report));
+    });
+    
+    // Settings by constant name or URL parameter name
+    function configKey(name) {
+        if (CONFIG_SCHEMA[name]) return name;
+        return Object.keys(CONFIG_SCHEMA).find(key => CONFIG_SCHEMA[key].param === name);
+    }
+    
+    window.adlai = {
+        spawn: function() {
+            sim.cornerHitEffect(true);
+        },
+        reset: function() {
+            sim.resetAllElements();
+        },
+        pause: function(value = true) {
+            if (Boolean(value) !== timeControls.paused) timeControls.setPaused(Boolean(value));
+        },
+        setConfig: function(name, value) {
+            const key = configKey(name);
+            if (!key) {
+                console.warn('Ignoring unknown setting:', name);
+                return undefined;
+            }
+            
+            // Not saved - the page's own settings stay as the visitor left them
+            const parsed = parseConfigValue(key, value);
+            if (parsed !== undefined && parsed !== config[key]) {
+                const oldValue = config[key];
+                config[key] = parsed;
+                applyConfigChange(key, oldValue);
+            }
+            return config[key];
+        },
+        getState: function() {
+            return {
+                time: sim.time,
+                paused: timeControls.paused,
+                cornerHits: sim.cornerHits,
+                width: sim.width,
+                height: sim.height,
+                config: Object.assign({}, config),
+                elements: sim.elements.map(describeElement)
+            };
+        }
+    };
+    
 })();
@@ -0,0 +1,1931 @@
+// DOM-free bouncing simulation core.
+//
+// Owns the Matter.js world, the bouncing elements and every physics rule (wall
+// bounces and cooldowns, corner detection, axis-aligned motion nudging, the scale
+// sequence and the population policies at MAX_ELEMENTS). It knows nothing about the page: the
+// host passes a playfield size and a measure() callback, drives the clock with
+// step()/advance(), and reacts to events (spawn, remove, corner-hit, ...) to
+// draw. script.js is the full-page renderer and adlai-bouncer.js packages it as
+// an embeddable custom element; in Node it runs on its own:
+//
+//   const { createSimulation } = require('./simulation.js'); // needs matter-js installed
+//   const sim = createSimulation({ width: 800, height: 600, seed: 42 });
+//   sim.createElement();
+//   sim.on('corner-hit', event => console.log(event.element, event.manual));
+//   for (let i = 0; i < 600; i++) sim.step(1000 / 60);
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('matter-js'));
+    } else {
+        root.AdlaiSimulation = factory(root.Matter);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Matter) {
+    'use strict';
+    
+    // Matter.js modules
+    const Engine = Matter.Engine,
+          World = Matter.World,
+          Bodies = Matter.Bodies,
+          Body = Matter.Body,
+          Events = Matter.Events,
+          Query = Matter.Query;
+    
+    // Simulation settings with their defaults and valid ranges. Hosts may extend
+    // this with their own settings (see CONFIG_SCHEMA in script.js).
+    const CONFIG_SCHEMA = {
+        // Constant velocity for DVD-style bouncing
+        CONSTANT_SPEED: {
+            param: 'speed', label: 'Speed', type: 'number',
+            min: 0.5, max: 20, step: 0.5, default: 3
+        },
+        // Size scaling for new elements:
+        // 0.9 = 10% smaller each time
+        // 0.8 = 20% smaller each time
+        // 0.95 = 5% smaller each time
+        SCALE_FACTOR: {
+            param: 'scale', label: 'Scale factor', type: 'number',
+            min: 0.5, max: 1, step: 0.01, default: 0.97
+        },
+        // Corner detection sensitivity:
+        // 30 = very strict (classic DVD behavior - rare corner hits)
+        // 50 = strict (occasional corner hits)
+        // 70 = moderate (more frequent corner hits)
+        // 100 = frequent corner hits
+        CORNER_THRESHOLD: {
+            param: 'corner', label: 'Corner threshold (px)', type: 'integer',
+            min: 10, max: 300, step: 5, default: 100
+        },
+        // Near-miss distance - a wall bounce that isn't a corner hit but brings the
+        // collision box within this many px of a corner counts as a near miss:
+        // 50 = default, 0 = off
+        NEAR_MISS_DISTANCE: {
+            param: 'nearMiss', label: 'Near-miss distance (px)', type: 'integer',
+            min: 0, max: 300, step: 5, default: 50
+        },
+        // Text collision height ratio - adjusts vertical collision boundaries:
+        // 0.7 = collision boundary is 70% of font height (tight to actual text pixels)
+        // 0.8 = slightly more generous vertical collision
+        // 1.0 = use full font height (includes extra spacing above/below)
+        // Only used when the host can't measure the ink bounds (see measure below)
+        TEXT_HEIGHT_RATIO: {
+            param: 'textHeight', label: 'Text height ratio', type: 'number',
+            min: 0.3, max: 1, step: 0.05, default: 0.7
+        },
+        // Wall collision cooldown - adjusts double bounce prevention:
+        // 100ms = default (prevents most double bounces)
+        // 50ms = more sensitive (allows faster re-bounces)
+        // 200ms = very conservative (longer cooldown)
+        WALL_COOLDOWN_MS: {
+            param: 'cooldown', label: 'Wall cooldown (ms)', type: 'integer',
+            min: 0, max: 1000, step: 10, default: 100
+        },
+        // Maximum elements before reset:
+        // 100 = current (resets when 100 elements reached)
+        // 20 = previous default
+        // 10 = more frequent resets
+        // 50 = less frequent resets
+        MAX_ELEMENTS: {
+            param: 'max', label: 'Max elements', type: 'integer',
+            min: 1, max: 200, step: 1, default: 100
+        },
+        // What happens at MAX_ELEMENTS (see populationPolicies):
+        // reset = fade everything out and start over with one element
+        // evict-oldest / evict-smallest = make room by removing one element
+        // merge = colliding elements merge into one bigger element
+        // lifespan = elements leave after LIFESPAN_SECONDS
+        POPULATION_POLICY: {
+            param: 'policy', label: 'At max elements', type: 'choice',
+            options: ['reset', 'evict-oldest', 'evict-smallest', 'merge', 'lifespan'], default: 'reset'
+        },
+        LIFESPAN_SECONDS: {
+            param: 'lifespan', label: 'Lifespan (s)', type: 'integer',
+            min: 5, max: 600, step: 5, default: 60
+        },
+        // Fixed-timestep simulation - steps the engine in constant 1/60s increments
+        // regardless of display refresh rate, so a seed always replays the same way.
+        // Turn off to step with the (capped) wall-clock frame delta instead.
+        FIXED_TIMESTEP: {
+            param: 'fixed', label: 'Fixed timestep', type: 'boolean',
+            default: true
+        },
+        // Pure DVD kinematics - walls are handled analytically with exact reflections
+        // instead of by the Matter solver (elements still collide with each other)
+        PURE_DVD: {
+            param: 'pure', label: 'Pure DVD walls', type: 'boolean',
+            default: false
+        },
+        // How elements move (see physicsModes):
+        // dvd = constant-speed bouncing, no gravity
+        // gravity = falling and bouncing, losing energy with RESTITUTION
+        // tilt = gravity that follows the device's tilt (phones and tablets)
+        // field = the pointer attracts elements (or repels, with a negative FIELD_STRENGTH)
+        PHYSICS_MODE: {
+            param: 'physics', label: 'Physics', type: 'choice',
+            options: ['dvd', 'gravity', 'tilt', 'field'], default: 'dvd'
+        },
+        // Gravity for the gravity and tilt modes (1 = Matter's standard gravity)
+        GRAVITY_STRENGTH: {
+            param: 'gravity', label: 'Gravity', type: 'number',
+            min: 0.1, max: 3, step: 0.1, default: 1
+        },
+        // Bounciness for the gravity and tilt modes: 1 = no energy lost in a bounce
+        RESTITUTION: {
+            param: 'bounce', label: 'Bounciness', type: 'number',
+            min: 0, max: 1, step: 0.05, default: 0.8
+        },
+        // Pointer pull in field mode - negative values push elements away
+        FIELD_STRENGTH: {
+            param: 'field', label: 'Field strength', type: 'number',
+            min: -2, max: 2, step: 0.1, default: 1
+        },
+        // Longest stretch (seconds) of missed time to play through after the host
+        // couldn't run, e.g. while its browser tab was hidden (see fastForward)
+        CATCH_UP_SECONDS: {
+            param: 'catchUp', label: 'Catch up after hidden (s)', type: 'integer',
+            min: 0, max: 300, step: 10, default: 60
+        },
+        // Debug logging - set to true to see detection details in the console
+        DEBUG_CORNER_DETECTION: {
+            param: 'debug', label: 'Debug logging', type: 'boolean',
+            default: false
+        }
+    };
+    
+    function defaultConfig() {
+        const values = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            values[key] = CONFIG_SCHEMA[key].default;
+        });
+        return values;
+    }
+    
+    // Seedable PRNG (mulberry32) - every random decision in the simulation goes
+    // through random() so the same seed always produces the same scene
+    // (getState/setState let snapshots rewind the sequence too)
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        const random = function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        random.getState = () => state;
+        random.setState = value => {
+            state = value >>> 0;
+        };
+        return random;
+    }
+    
+    // Matter velocities are per 1/60s step, and fixed-timestep mode steps by the same amount
+    const FIXED_STEP_MS = 1000 / 60;
+    const MAX_STEPS_PER_FRAME = 5; // Drop time rather than spiral when the host stalls
+    const CATCH_UP_STEPS_PER_FRAME = 60; // A second of missed time per frame while catching up
+    
+    // Two different walls must be hit within this window to count as a corner hit
+    const CORNER_WINDOW_MS = 100;
+    
+    // Obstacles: bar and deflector thickness (px), the shallowest angle (radians)
+    // an element may leave an obstacle at, and default sizes for new pieces
+    // (fractions of the playfield's shorter side)
+    const OBSTACLE_THICKNESS = { bar: 16, deflector: 8 };
+    const OBSTACLE_MIN_EXIT_ANGLE = 0.25;
+    
+    // Free-moving physics modes: the speed cap (multiples of CONSTANT_SPEED), how
+    // slow counts as resting and how long gravity lets an element rest before it
+    // gets kicked back into the air, and the shape of the pointer field
+    // (acceleration in px per step per step, full strength within FIELD_FALLOFF px,
+    // nothing within FIELD_DEAD_ZONE px so elements don't jitter on the pointer)
+    const FREE_SPEED_LIMIT = 4;
+    const REST_SPEED = 0.1;
+    const REST_KICK_MS = 3000;
+    const FIELD_ACCELERATION = 0.3;
+    const FIELD_FALLOFF = 150;
+    const FIELD_DEAD_ZONE = 20;
+    
+    const OBSTACLE_DEFAULTS = {
+        bar: { length: 0.25, angle: 0 },
+        deflector: { length: 0.15, angle: 45 },
+        circle: { radius: 0.05 },
+        goal: { radius: 0.06 }
+    };
+    
+    // Corner-hit forecasting limits - longer horizons are increasingly a guess
+    const FORECAST_HORIZON_MS = 30000;
+    const FORECAST_MAX_BOUNCES = 50;
+    
+    // Create a simulation. Options:
+    //   width, height - playfield size in px
+    //   seed          - PRNG seed (random if omitted)
+    //   config        - settings object; missing keys get defaults. It is used by
+    //                   reference, so call applyConfigChange after editing it.
+    //   measure       - function(scale, hint) returning the visual { width, height }
+    //                   of an element drawn at that scale (hint.label, if set, is
+    //                   the label to reuse, e.g. when elements merge). Optional extras:
+    //                   `bounds` - the ink box { x, y, width, height } within the
+    //                   visual box, used as the collision box (otherwise the full
+    //                   width and TEXT_HEIGHT_RATIO of the height), and `view` and
+    //                   `label`, stored on the element for the host. Defaults to a
+    //                   fixed 300x60 box, which is enough for headless runs.
+    function createSimulation(options) {
+        options = options || {};
+        
+        const config = options.config || {};
+        const defaults = defaultConfig();
+        Object.keys(defaults).forEach(key => {
+            if (config[key] === undefined) config[key] = defaults[key];
+        });
+        
+        const measure = options.measure || function(scale) {
+            return { width: 300 * scale, height: 60 * scale };
+        };
+        
+        const seed = options.seed !== undefined ? options.seed >>> 0 : Math.floor(Math.random() * 4294967296);
+        const random = createRandom(seed);
+        
+        // Playfield dimensions
+        let windowWidth = options.width;
+        let windowHeight = options.height;
+        
+        // Stretches of each edge with no wall, as [from, to] spans along the edge
+        // (x for top/bottom, y for left/right). Elements crossing an open span leave
+        // the world with a 'cross-edge' event - see setOpenEdges.
+        let openEdges = { top: [], bottom: [], left: [], right: [] };
+        
+        // Create engine and world
+        const engine = Engine.create();
+        const world = engine.world;
+        
+        // No gravity for DVD-style bouncing (other physics modes set it every step)
+        engine.world.gravity.y = 0;
+        engine.world.gravity.x = 0;
+        
+        // Configure engine for immediate collision response (no sliding)
+        engine.constraintIterations = 4;  // More iterations for stable collisions
+        engine.velocityIterations = 6;    // More velocity iterations
+        engine.positionIterations = 8;    // More position iterations
+        
+        // Simulation clock - advances only when the engine steps, so cooldowns and
+        // corner timing don't depend on how fast frames are delivered
+        let simTime = 0;
+        let stepCount = 0;
+        let stepAccumulator = 0;
+        
+        // Replaying: stepping again through time already played before a restore
+        // (e.g. a rewind). Events fire as usual with replaying set, so the host can
+        // tell them from new ones instead of counting them twice. playedUntil is
+        // the furthest the clock has got, and isn't part of a snapshot.
+        let playedUntil = 0;
+        let replaying = false;
+        
+        // Callbacks to run once the simulation clock reaches a given time. Used in place
+        // of setTimeout for anything that affects physics, so it lands on the same step
+        // in every replay.
+        let scheduledCallbacks = [];
+        let scheduleSequence = 0;
+        
+        function schedule(callback, delayMs) {
+            scheduledCallbacks.push({ time: simTime + delayMs, order: scheduleSequence++, callback: callback });
+        }
+        
+        function runScheduledCallbacks() {
+            const due = scheduledCallbacks.filter(entry => entry.time <= simTime);
+            if (due.length === 0) return;
+            
+            scheduledCallbacks = scheduledCallbacks.filter(entry => entry.time > simTime);
+            due.sort((a, b) => a.time - b.time || a.order - b.order);
+            due.forEach(entry => entry.callback());
+        }
+        
+        // Event listeners registered with on()
+        const listeners = {};
+        
+        function on(type, handler) {
+            (listeners[type] = listeners[type] || []).push(handler);
+        }
+        
+        function emit(type, detail) {
+            (listeners[type] || []).forEach(handler => handler(detail));
+        }
+        
+        // Array to store bouncing elements with their Matter.js bodies
+        let bouncingElements = [];
+        let nextElementId = 1; // Each element's id, unique within this simulation
+        
+        // Corner hit tracking
+        let cornerHits = 0;
+        let isFlashing = false;
+        let closestMiss = null; // Closest near miss so far: { distance, corner, time }
+        
+        function preventWallSliding(textBody, wallBody) {
+            // Ensure element doesn't slide along walls - force immediate bounce
+            const pos = textBody.position;
+            const velocity = textBody.velocity;
+            
+            // Get element dimensions
+            const element = bouncingElements.find(el => el.body === textBody);
+            if (!element) return;
+            
+            // Use collision dimensions for wall bouncing calculations
+            const halfWidth = element.collisionWidth / 2;
+            const halfHeight = element.collisionHeight / 2;
+            
+            // Correct position to prevent wall penetration and sliding
+            let correctedX = pos.x;
+            let correctedY = pos.y;
+            
+            if (wallBody.label === 'wall-left') {
+                correctedX = Math.max(halfWidth, pos.x);
+                if (velocity.x < 0) Body.setVelocity(textBody, { x: -velocity.x, y: velocity.y });
+            } else if (wallBody.label === 'wall-right') {
+                correctedX = Math.min(windowWidth - halfWidth, pos.x);
+                if (velocity.x > 0) Body.setVelocity(textBody, { x: -velocity.x, y: velocity.y });
+            } else if (wallBody.label === 'wall-top') {
+                correctedY = Math.max(halfHeight, pos.y);
+                if (velocity.y < 0) Body.setVelocity(textBody, { x: velocity.x, y: -velocity.y });
+            } else if (wallBody.label === 'wall-bottom') {
+                correctedY = Math.min(windowHeight - halfHeight, pos.y);
+                if (velocity.y > 0) Body.setVelocity(textBody, { x: velocity.x, y: -velocity.y });
+            }
+            
+            // Apply position correction if needed
+            if (correctedX !== pos.x || correctedY !== pos.y) {
+                Body.setPosition(textBody, { x: correctedX, y: correctedY });
+            }
+        }
+        
+        function normalizeVelocity(body, addAngleVariation = false) {
+            invalidateForecast(body);
+            
+            // Free-moving modes only keep speed within their limits
+            const mode = physicsMode();
+            if (!mode.constantSpeed) {
+                limitSpeed(body, mode.speedLimits());
+                return;
+            }
+            
+            // Get current velocity
+            const velocity = body.velocity;
+            const currentSpeed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+            
+            // If velocity is zero or very small, give it a random direction
+            if (currentSpeed < 0.1) {
+                const angle = random() * Math.PI * 2;
+                Body.setVelocity(body, {
+                    x: Math.cos(angle) * config.CONSTANT_SPEED,
+                    y: Math.sin(angle) * config.CONSTANT_SPEED
+                });
+            } else {
+                // Get current angle
+                let angle = Math.atan2(velocity.y, velocity.x);
+                
+                // Add slight random variation to prevent stuck patterns
+                if (addAngleVariation) {
+                    const variation = (random() - 0.5) * 0.3; // ±0.15 radians (~±8.6 degrees)
+                    angle += variation;
+                }
+                
+                // Prevent perfectly vertical or horizontal movement
+                const minAngleFromAxes = 0.1; // ~5.7 degrees
+                const normalizedAngle = ((angle % (Math.PI * 2)) + (Math.PI * 2)) % (Math.PI * 2);
+                
+                if (Math.abs(normalizedAngle) < minAngleFromAxes ||
+                    Math.abs(normalizedAngle - Math.PI) < minAngleFromAxes) {
+                    // Too close to horizontal, adjust
+                    angle += (random() > 0.5 ? 1 : -1) * minAngleFromAxes;
+                } else if (Math.abs(normalizedAngle - Math.PI/2) < minAngleFromAxes ||
+                           Math.abs(normalizedAngle - 3*Math.PI/2) < minAngleFromAxes) {
+                    // Too close to vertical, adjust
+                    angle += (random() > 0.5 ? 1 : -1) * minAngleFromAxes;
+                }
+                
+                // Set velocity with constant speed and adjusted angle
+                Body.setVelocity(body, {
+                    x: Math.cos(angle) * config.CONSTANT_SPEED,
+                    y: Math.sin(angle) * config.CONSTANT_SPEED
+                });
+            }
+        }
+        
+        // Change the playfield size, rebuilding the walls and pulling elements back inside
+        function resize(width, height) {
+            if (width === windowWidth && height === windowHeight) return;
+            
+            windowWidth = width;
+            windowHeight = height;
+            updateWorldBoundaries();
+            
+            // Constrain all bodies to new bounds
+            bouncingElements.forEach(element => {
+                const body = element.body;
+                const x = Math.max(element.width / 2, Math.min(body.position.x, windowWidth - element.width / 2));
+                const y = Math.max(element.height / 2, Math.min(body.position.y, windowHeight - element.height / 2));
+                Body.setPosition(body, { x: x, y: y });
+            });
+        }
+        
+        function updateWorldBoundaries() {
+            // Remove old boundaries
+            const bodiesToRemove = world.bodies.filter(body => body.isStatic && body.label.includes('wall'));
+            World.remove(world, bodiesToRemove);
+            
+            // Create new boundaries - positioned exactly at screen edges with thick walls.
+            // An edge with open spans gets a wall piece for each closed stretch instead.
+            const wallThickness = 100; // Thicker walls to prevent sliding
+            const wallOptions = label => ({
+                isStatic: true,
+                label: label,
+                restitution: physicsMode().restitution(), // Perfect bounce outside gravity modes
+                friction: 0,    // No sliding friction
+                frictionStatic: 0
+            });
+            const walls = [];
+            
+            // Top wall - positioned so its bottom edge is at y=0
+            closedSpans('top', windowWidth, wallThickness).forEach(([from, to]) => {
+                walls.push(Bodies.rectangle((from + to) / 2, -wallThickness / 2, to - from, wallThickness, wallOptions('wall-top')));
+            });
+            // Bottom wall - positioned so its top edge is at y=windowHeight
+            closedSpans('bottom', windowWidth, wallThickness).forEach(([from, to]) => {
+                walls.push(Bodies.rectangle((from + to) / 2, windowHeight + wallThickness / 2, to - from, wallThickness, wallOptions('wall-bottom')));
+            });
+            // Left wall - positioned so its right edge is at x=0
+            closedSpans('left', windowHeight, wallThickness).forEach(([from, to]) => {
+                walls.push(Bodies.rectangle(-wallThickness / 2, (from + to) / 2, wallThickness, to - from, wallOptions('wall-left')));
+            });
+            // Right wall - positioned so its left edge is at x=windowWidth
+            closedSpans('right', windowHeight, wallThickness).forEach(([from, to]) => {
+                walls.push(Bodies.rectangle(windowWidth + wallThickness / 2, (from + to) / 2, wallThickness, to - from, wallOptions('wall-right')));
+            });
+            
+            World.add(world, walls);
+            updateWallCollisions();
+            buildObstacles();
+            invalidateAllForecasts();
+        }
+        
+        // Obstacles and goal zones. Layouts are kept relative to the playfield -
+        // positions as fractions of its width and height, sizes as fractions of its
+        // shorter side, angles in degrees - so they scale with it on resize:
+        //   { obstacles: [{ type: 'bar' | 'deflector', x, y, length, angle },
+        //                 { type: 'circle', x, y, radius }],
+        //     goals: [{ x, y, radius }] }
+        // Goals are sensors: an element entering one counts as a corner hit.
+        let layout = { obstacles: [], goals: [] };
+        
+        // Drop anything malformed from a layout (e.g. one loaded from a file)
+        function normalizeLayout(data) {
+            const isNumber = value => typeof value === 'number' && isFinite(value);
+            const fraction = value => Math.max(0, Math.min(1, value));
+            const obstacles = ((data && data.obstacles) || [])
+                .filter(item => item && OBSTACLE_DEFAULTS[item.type] && item.type !== 'goal' &&
+                    isNumber(item.x) && isNumber(item.y))
+                .map(item => {
+                    const defaults = OBSTACLE_DEFAULTS[item.type];
+                    const obstacle = { type: item.type, x: fraction(item.x), y: fraction(item.y) };
+                    if (item.type === 'circle') {
+                        obstacle.radius = isNumber(item.radius) ? Math.max(0.005, Math.min(0.5, item.radius)) : defaults.radius;
+                    } else {
+                        obstacle.length = isNumber(item.length) ? Math.max(0.01, Math.min(2, item.length)) : defaults.length;
+                        obstacle.angle = isNumber(item.angle) ? item.angle % 360 : defaults.angle;
+                    }
+                    return obstacle;
+                });
+            const goals = ((data && data.goals) || [])
+                .filter(item => item && isNumber(item.x) && isNumber(item.y))
+                .map(item => ({
+                    x: fraction(item.x),
+                    y: fraction(item.y),
+                    radius: isNumber(item.radius) ? Math.max(0.005, Math.min(0.5, item.radius)) : OBSTACLE_DEFAULTS.goal.radius
+                }));
+            return { obstacles: obstacles, goals: goals };
+        }
+        
+        function setLayout(data) {
+            layout = normalizeLayout(data);
+            buildObstacles();
+            invalidateAllForecasts();
+        }
+        
+        function getLayout() {
+            return JSON.parse(JSON.stringify(layout));
+        }
+        
+        // (Re)build the static bodies for the layout at the current playfield size
+        function buildObstacles() {
+            World.remove(world, world.bodies.filter(body => body.obstacle !== undefined || body.goal !== undefined));
+            
+            const unit = Math.min(windowWidth, windowHeight);
+            const bodies = [];
+            layout.obstacles.forEach((obstacle, index) => {
+                const x = obstacle.x * windowWidth;
+                const y = obstacle.y * windowHeight;
+                const options = {
+                    isStatic: true,
+                    label: 'obstacle-' + obstacle.type,
+                    restitution: physicsMode().restitution(),
+                    friction: 0,
+                    frictionStatic: 0
+                };
+                const body = obstacle.type === 'circle'
+                    ? Bodies.circle(x, y, obstacle.radius * unit, options)
+                    : Bodies.rectangle(x, y, obstacle.length * unit, OBSTACLE_THICKNESS[obstacle.type],
+                        Object.assign(options, { angle: obstacle.angle * Math.PI / 180 }));
+                body.obstacle = index;
+                bodies.push(body);
+            });
+            layout.goals.forEach((goal, index) => {
+                const body = Bodies.circle(goal.x * windowWidth, goal.y * windowHeight, goal.radius * unit, {
+                    isStatic: true,
+                    isSensor: true,
+                    label: 'goal'
+                });
+                body.goal = index;
+                bodies.push(body);
+            });
+            
+            World.add(world, bodies);
+            emit('layout', { layout: getLayout() });
+        }
+        
+        // The obstacle or goal under a playfield point: { kind: 'obstacle' | 'goal', index }
+        function obstacleAt(x, y) {
+            const bodies = world.bodies.filter(body => body.obstacle !== undefined || body.goal !== undefined);
+            const hits = Query.point(bodies, { x: x, y: y });
+            if (hits.length === 0) return null;
+            const body = hits[hits.length - 1];
+            return body.obstacle !== undefined
+                ? { kind: 'obstacle', index: body.obstacle }
+                : { kind: 'goal', index: body.goal };
+        }
+        
+        // The stretches of an edge `length` long that still have a wall, extended by
+        // `overhang` past both ends so the corners stay covered
+        function closedSpans(edge, length, overhang) {
+            const spans = [];
+            let from = -overhang;
+            openEdges[edge]
+                .slice()
+                .sort((a, b) => a[0] - b[0])
+                .forEach(([openFrom, openTo]) => {
+                    if (openFrom > from) spans.push([from, openFrom]);
+                    from = Math.max(from, openTo);
+                });
+            if (length + overhang > from) spans.push([from, length + overhang]);
+            return spans;
+        }
+        
+        function isOpenAt(edge, along) {
+            return openEdges[edge].some(([from, to]) => along >= from && along <= to);
+        }
+        
+        // Open up stretches of the playfield's edges, e.g. where a neighbouring window
+        // continues it: { top: [[from, to], ...], bottom, left, right } (missing
+        // edges are closed). Corners touching an open span no longer count.
+        function setOpenEdges(edges) {
+            openEdges = {
+                top: (edges && edges.top) || [],
+                bottom: (edges && edges.bottom) || [],
+                left: (edges && edges.left) || [],
+                right: (edges && edges.right) || []
+            };
+            updateWorldBoundaries();
+        }
+        
+        // Elements whose centre has passed through an open edge leave the world; the
+        // host hands them on (with their position relative to this playfield)
+        function releaseCrossingElements() {
+            bouncingElements
+                .filter(element => !element.grabbed)
+                .forEach(element => {
+                    const pos = element.body.position;
+                    const velocity = element.body.velocity;
+                    let edge = null;
+                    if (pos.x < 0 && velocity.x < 0 && isOpenAt('left', pos.y)) edge = 'left';
+                    else if (pos.x > windowWidth && velocity.x > 0 && isOpenAt('right', pos.y)) edge = 'right';
+                    else if (pos.y < 0 && velocity.y < 0 && isOpenAt('top', pos.x)) edge = 'top';
+                    else if (pos.y > windowHeight && velocity.y > 0 && isOpenAt('bottom', pos.x)) edge = 'bottom';
+                    if (!edge) return;
+                    
+                    retireElement(element);
+                    emit('cross-edge', {
+                        element: element,
+                        edge: edge,
+                        position: { x: pos.x, y: pos.y },
+                        velocity: { x: velocity.x, y: velocity.y }
+                    });
+                });
+        }
+        
+        // Options: scale (instead of the next in the sequence), label (passed to
+        // measure), velocity (direction to start in), enter (animation name) and
+        // exact (put it at x, y as given, even part-way through an open edge)
+        function createElement(x = null, y = null, spawnFromTop = false, enableFadeIn = false, options = {}) {
+            // Calculate scale for new element (each one gets progressively smaller)
+            const elementScale = options.scale !== undefined ? options.scale : Math.pow(config.SCALE_FACTOR, bouncingElements.length);
+            
+            // Visual size as drawn by the host
+            const size = measure(elementScale, { label: options.label || null });
+            
+            // Collide on the measured ink where the host provides it. Otherwise
+            // guess: the font has extra space above/below that we don't want in
+            // collision detection, so keep the top TEXT_HEIGHT_RATIO of the height.
+            const bounds = size.bounds || {
+                x: 0,
+                y: 0,
+                width: size.width,
+                height: size.height * config.TEXT_HEIGHT_RATIO
+            };
+            const actualTextHeight = bounds.height;
+            const textWidth = bounds.width;
+            
+            // Set initial position with safe bounds
+            let initX = x !== null ? x : windowWidth / 2;
+            let initY = y !== null ? y : windowHeight / 2;
+            
+            // Ensure spawn position is not too close to edges (using actual collision size)
+            if (!options.exact) {
+                const marginX = textWidth / 2 + 10;
+                const marginY = actualTextHeight / 2 + 10;
+                initX = Math.max(marginX, Math.min(initX, windowWidth - marginX));
+                initY = Math.max(marginY, Math.min(initY, windowHeight - marginY));
+            }
+            
+            // Create Matter.js body with tighter height
+            const body = Bodies.rectangle(initX, initY, textWidth, actualTextHeight, {
+                frictionAir: 0,      // No air resistance
+                friction: 0,         // No surface friction with other elements
+                frictionStatic: 0,   // No static friction
+                restitution: physicsMode().restitution(), // Perfect bounce (no energy loss) outside gravity modes
+                density: 1,
+                label: 'text-element',
+                inertia: Infinity,   // Prevent rotation
+                slop: 0             // No collision tolerance - immediate response
+            });
+            
+            // Set initial velocity with constant speed
+            let angle;
+            if (spawnFromTop) {
+                // For elements spawning from top, give them a downward trajectory
+                // Angle between 45° and 135° (π/4 to 3π/4) for downward motion
+                angle = Math.PI/4 + random() * Math.PI/2;
+            } else {
+                // Random direction for initial element
+                angle = random() * Math.PI * 2;
+            }
+            Body.setVelocity(body, {
+                x: Math.cos(angle) * config.CONSTANT_SPEED,
+                y: Math.sin(angle) * config.CONSTANT_SPEED
+            });
+            if (options.velocity) {
+                Body.setVelocity(body, options.velocity);
+                normalizeVelocity(body);
+            }
+            
+            // Create element object
+            const elementObj = {
+                id: nextElementId++,
+                view: size.view || null, // Host's drawing of this element (e.g. its DOM node)
+                label: size.label || null, // Host's description of what the element shows
+                body: body,
+                width: size.width,          // Visual width
+                height: size.height,        // Visual height (full font height)
+                collisionWidth: textWidth,  // Collision width
+                collisionHeight: actualTextHeight, // Collision height (tighter)
+                inkBounds: size.bounds !== undefined, // Collision box was measured, not guessed
+                // Centre of the visual box relative to the body's position
+                offsetX: size.width / 2 - (bounds.x + bounds.width / 2),
+                offsetY: size.height / 2 - (bounds.y + bounds.height / 2),
+                scale: elementScale, // Track the scale of this element
+                born: simTime, // For the lifespan policy
+                lastWallCollision: null, // Track for corner detection
+                wallCooldown: {}, // Prevent multiple bounces from same wall
+                lastCollisionTime: 0, // Track last collision time
+                forecast: null, // Predicted next corner hit (see forecastCornerHit)
+                forecastDirty: true, // Recompute the forecast after the next step
+                grabbed: null // Drag target { x, y } while held by the pointer (see grab)
+            };
+            
+            // Add body to world
+            World.add(world, body);
+            
+            // Add to array
+            bouncingElements.push(elementObj);
+            
+            if (config.DEBUG_CORNER_DETECTION) {
+                console.log('Created new element. Total elements:', bouncingElements.length, 'Scale:', elementScale.toFixed(2));
+            }
+            const enter = options.enter || (spawnFromTop || enableFadeIn ? currentPolicy().enter : null);
+            emit('spawn', { element: elementObj, spawnFromTop: spawnFromTop, enter: enter });
+            return elementObj;
+        }
+        
+        // Collision responses. Contacts are collected in collisionStart and applied in
+        // afterUpdate, once Matter's solver has finished with the step - changing
+        // velocities any earlier would just be overwritten by the solver. Applying
+        // them inside the same update keeps every correction on the step it belongs to.
+        let pendingCollisions = [];
+        let pendingMerges = [];
+        
+        Events.on(engine, 'collisionStart', function(event) {
+            const pairs = event.pairs;
+            
+            for (let i = 0; i < pairs.length; i++) {
+                const pair = pairs[i];
+                const { bodyA, bodyB } = pair;
+                
+                // Find text elements in the collision
+                const textBodyA = bodyA.label === 'text-element' ? bodyA : null;
+                const textBodyB = bodyB.label === 'text-element' ? bodyB : null;
+                const wallBody = bodyA.label.includes('wall') ? bodyA :
+                               bodyB.label.includes('wall') ? bodyB : null;
+                const obstacleBody = bodyA.obstacle !== undefined ? bodyA :
+                                   bodyB.obstacle !== undefined ? bodyB : null;
+                const goalBody = bodyA.goal !== undefined ? bodyA :
+                               bodyB.goal !== undefined ? bodyB : null;
+                
+                // Element-to-element collisions change direction, so any forecast is stale
+                if (textBodyA && textBodyB) {
+                    invalidateForecast(textBodyA);
+                    invalidateForecast(textBodyB);
+                    
+                    // A full scene under the merge policy merges elements that touch
+                    if (currentPolicy().merge && bouncingElements.length >= config.MAX_ELEMENTS) {
+                        const a = bouncingElements.find(el => el.body === textBodyA);
+                        const b = bouncingElements.find(el => el.body === textBodyB);
+                        if (a && b && !a.grabbed && !b.grabbed) {
+                            pendingMerges.push([a, b]);
+                        }
+                    }
+                }
+                
+                [textBodyA, textBodyB].forEach(textBody => {
+                    if (!textBody) return;
+                    const element = bouncingElements.find(el => el.body === textBody);
+                    
+                    // Held elements just get pushed back inside - no bounces while dragging
+                    if (element && !element.grabbed) {
+                        pendingCollisions.push({
+                            element: element,
+                            wallBody: wallBody,
+                            obstacleBody: obstacleBody,
+                            goalBody: goalBody,
+                            normal: { x: pair.collision.normal.x, y: pair.collision.normal.y }
+                        });
+                    }
+                });
+            }
+        });
+        
+        Events.on(engine, 'afterUpdate', function() {
+            if (isPureDvd()) {
+                reflectOffWalls();
+            }
+            
+            const collisions = pendingCollisions;
+            pendingCollisions = [];
+            collisions.forEach(collision => {
+                // Skip elements removed earlier in this pass (e.g. by a reset)
+                if (bouncingElements.indexOf(collision.element) === -1) return;
+                
+                if (collision.wallBody) {
+                    handleWallContact(collision.element, collision.wallBody);
+                } else if (collision.goalBody) {
+                    handleGoalEntry(collision.element, collision.goalBody);
+                } else if (collision.obstacleBody) {
+                    handleObstacleContact(collision.element, collision.obstacleBody, collision.normal);
+                } else {
+                    normalizeVelocity(collision.element.body);
+                }
+            });
+            
+            const merges = pendingMerges;
+            pendingMerges = [];
+            merges.forEach(([a, b]) => {
+                // Each element merges at most once per step
+                if (bouncingElements.indexOf(a) === -1 || bouncingElements.indexOf(b) === -1) return;
+                if (!currentPolicy().merge) return;
+                currentPolicy().merge(a, b);
+            });
+        });
+        
+        // Bounces off obstacles get the same treatment as wall bounces: a cooldown
+        // against double bounces, no grazing exits, and back to constant speed
+        function handleObstacleContact(element, obstacleBody, normal) {
+            const cooldownKey = 'obstacle-' + obstacleBody.obstacle;
+            if (element.wallCooldown[cooldownKey] &&
+                simTime - element.wallCooldown[cooldownKey] <= config.WALL_COOLDOWN_MS) {
+                normalizeVelocity(element.body);
+                return;
+            }
+            element.wallCooldown[cooldownKey] = simTime;
+            emit('obstacle-bounce', { element: element, obstacle: layout.obstacles[obstacleBody.obstacle] });
+            
+            preventObstacleSliding(element.body, obstacleBody, normal);
+            normalizeVelocity(element.body, true);
+        }
+        
+        // The obstacle equivalent of preventWallSliding: make sure the element leaves
+        // the surface at a decent angle instead of skimming along it
+        function preventObstacleSliding(textBody, obstacleBody, normal) {
+            // Matter's normal may point either way - turn it away from the obstacle
+            let nx = normal.x;
+            let ny = normal.y;
+            if (nx * (textBody.position.x - obstacleBody.position.x) + ny * (textBody.position.y - obstacleBody.position.y) < 0) {
+                nx = -nx;
+                ny = -ny;
+            }
+            
+            const velocity = textBody.velocity;
+            const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+            if (speed < 0.1) return;
+            
+            const normalSpeed = velocity.x * nx + velocity.y * ny;
+            const minNormalSpeed = Math.sin(OBSTACLE_MIN_EXIT_ANGLE) * speed;
+            if (normalSpeed >= minNormalSpeed) return;
+            
+            // Keep the direction along the surface, but head away from it
+            const tangentX = velocity.x - normalSpeed * nx;
+            const tangentY = velocity.y - normalSpeed * ny;
+            const tangentSpeed = Math.sqrt(tangentX * tangentX + tangentY * tangentY);
+            const outSpeed = Math.max(Math.abs(normalSpeed), minNormalSpeed);
+            const alongSpeed = Math.sqrt(Math.max(0, speed * speed - outSpeed * outSpeed));
+            const scale = tangentSpeed > 0 ? alongSpeed / tangentSpeed : 0;
+            Body.setVelocity(textBody, {
+                x: nx * outSpeed + tangentX * scale,
+                y: ny * outSpeed + tangentY * scale
+            });
+        }
+        
+        // Entering a goal zone counts as a corner hit
+        function handleGoalEntry(element, goalBody) {
+            const cooldownKey = 'goal-' + goalBody.goal;
+            if (element.wallCooldown[cooldownKey] &&
+                simTime - element.wallCooldown[cooldownKey] <= config.WALL_COOLDOWN_MS) {
+                return;
+            }
+            element.wallCooldown[cooldownKey] = simTime;
+            if (isFlashing) return;
+            
+            if (config.DEBUG_CORNER_DETECTION) {
+                console.log('🥅 GOAL!');
+            }
+            element.lastCornerHitTime = simTime;
+            cornerHitEffect(false, element, { corner: 'goal', walls: [] });
+        }
+        
+        function handleWallContact(element, wallBody) {
+            const currentTime = simTime;
+            const wallLabel = wallBody.label;
+            
+            // Check cooldown to prevent double bounces
+            if (!element.wallCooldown[wallLabel] ||
+                currentTime - element.wallCooldown[wallLabel] > config.WALL_COOLDOWN_MS) {
+                
+                if (config.DEBUG_CORNER_DETECTION) {
+                    console.log('Wall bounce:', wallLabel);
+                }
+                element.wallCooldown[wallLabel] = currentTime;
+                emit('wall-bounce', { element: element, wall: wallLabel });
+                
+                // Add angle variation on wall bounces to prevent stuck patterns
+                preventWallSliding(element.body, wallBody);
+                normalizeVelocity(element.body, true);
+            } else {
+                if (config.DEBUG_CORNER_DETECTION) {
+                    console.log('Blocked double bounce:', wallLabel);
+                }
+                emit('blocked-bounce', {
+                    element: element,
+                    wall: wallLabel,
+                    cooldownLeft: config.WALL_COOLDOWN_MS - (currentTime - element.wallCooldown[wallLabel])
+                });
+            }
+            
+            // Check for corner hits (text element hitting wall)
+            checkCornerHit(element, wallLabel);
+        }
+        
+        // Pure DVD mode: the walls don't take part in the physics. Elements that have
+        // crossed one are mirrored back inside, which is an exact reflection for
+        // constant-velocity motion - no solver, no angle variation, no double bounces.
+        function reflectOffWalls() {
+            for (let i = 0; i < bouncingElements.length; i++) {
+                const element = bouncingElements[i];
+                if (element.grabbed) continue;
+                
+                const body = element.body;
+                const halfWidth = element.collisionWidth / 2;
+                const halfHeight = element.collisionHeight / 2;
+                const minX = halfWidth;
+                const maxX = windowWidth - halfWidth;
+                const minY = halfHeight;
+                const maxY = windowHeight - halfHeight;
+                
+                let x = body.position.x;
+                let y = body.position.y;
+                let vx = body.velocity.x;
+                let vy = body.velocity.y;
+                const walls = [];
+                
+                // Only motion into a wall is reflected. An element that has been pushed
+                // past one by its neighbours is just put back, without counting a bounce.
+                if (maxX > minX) {
+                    if ((x < minX && isOpenAt('left', y)) || (x > maxX && isOpenAt('right', y))) {
+                        // Passing through an open edge
+                    } else if (x < minX) {
+                        x = vx < 0 ? 2 * minX - x : minX;
+                        if (vx < 0) walls.push('wall-left');
+                        vx = Math.abs(vx);
+                    } else if (x > maxX) {
+                        x = vx > 0 ? 2 * maxX - x : maxX;
+                        if (vx > 0) walls.push('wall-right');
+                        vx = -Math.abs(vx);
+                    }
+                }
+                if (maxY > minY) {
+                    if ((y < minY && isOpenAt('top', x)) || (y > maxY && isOpenAt('bottom', x))) {
+                        // Passing through an open edge
+                    } else if (y < minY) {
+                        y = vy < 0 ? 2 * minY - y : minY;
+                        if (vy < 0) walls.push('wall-top');
+                        vy = Math.abs(vy);
+                    } else if (y > maxY) {
+                        y = vy > 0 ? 2 * maxY - y : maxY;
+                        if (vy > 0) walls.push('wall-bottom');
+                        vy = -Math.abs(vy);
+                    }
+                }
+                if (x === body.position.x && y === body.position.y) continue;
+                
+                Body.setPosition(body, { x: x, y: y });
+                Body.setVelocity(body, { x: vx, y: vy });
+                element.forecastDirty = true;
+                
+                // Hitting both at once is an exact corner - the second wall completes it
+                walls.forEach(wallLabel => {
+                    element.wallCooldown[wallLabel] = simTime;
+                    emit('wall-bounce', { element: element, wall: wallLabel });
+                    checkCornerHit(element, wallLabel);
+                });
+            }
+        }
+        
+        // PURE_DVD only applies to constant-speed DVD motion
+        function isPureDvd() {
+            return config.PURE_DVD && config.PHYSICS_MODE === 'dvd';
+        }
+        
+        // Walls only collide with elements when Matter is handling them
+        function updateWallCollisions() {
+            world.bodies.forEach(body => {
+                if (body.isStatic && body.label.includes('wall')) {
+                    body.collisionFilter.mask = isPureDvd() ? 0 : 0xFFFFFFFF;
+                }
+            });
+        }
+        
+        // Which corner (if any) a body centred at x, y is within CORNER_THRESHOLD of
+        function cornerAt(x, y) {
+            const threshold = config.CORNER_THRESHOLD;
+            const vertical = y < threshold ? 'top' : y > windowHeight - threshold ? 'bottom' : null;
+            const horizontal = x < threshold ? 'left' : x > windowWidth - threshold ? 'right' : null;
+            const corner = vertical && horizontal ? vertical + '-' + horizontal : null;
+            return corner && isClosedCorner(corner) ? corner : null;
+        }
+        
+        // A corner only counts where both of its walls are there - not where the
+        // playfield carries on through an open edge
+        function isClosedCorner(corner) {
+            const [vertical, horizontal] = corner.split('-');
+            return !isOpenAt(vertical, horizontal === 'left' ? 0 : windowWidth) &&
+                !isOpenAt(horizontal, vertical === 'top' ? 0 : windowHeight);
+        }
+        
+        // How close an element's collision box is to the nearest playfield corner:
+        // the distance from the box's own corner on that side to the corner point
+        function cornerDistance(element) {
+            const pos = element.body.position;
+            const gapLeft = Math.max(0, pos.x - element.collisionWidth / 2);
+            const gapRight = Math.max(0, windowWidth - (pos.x + element.collisionWidth / 2));
+            const gapTop = Math.max(0, pos.y - element.collisionHeight / 2);
+            const gapBottom = Math.max(0, windowHeight - (pos.y + element.collisionHeight / 2));
+            
+            const vertical = gapTop <= gapBottom ? 'top' : 'bottom';
+            const horizontal = gapLeft <= gapRight ? 'left' : 'right';
+            return {
+                corner: vertical + '-' + horizontal,
+                distance: Math.sqrt(Math.pow(Math.min(gapLeft, gapRight), 2) + Math.pow(Math.min(gapTop, gapBottom), 2))
+            };
+        }
+        
+        // A close wall bounce is only a near miss once it's clear it didn't turn
+        // into a corner hit, i.e. no hit within the corner window
+        function checkNearMiss(element, wallLabel) {
+            if (config.NEAR_MISS_DISTANCE <= 0) return;
+            
+            const approach = cornerDistance(element);
+            if (approach.distance >= config.NEAR_MISS_DISTANCE) return;
+            if (!isClosedCorner(approach.corner)) return;
+            
+            const bounceTime = simTime;
+            schedule(() => {
+                if (bouncingElements.indexOf(element) === -1) return;
+                if (element.lastCornerHitTime !== undefined && element.lastCornerHitTime >= bounceTime) return;
+                
+                const isClosest = closestMiss === null || approach.distance < closestMiss.distance;
+                if (isClosest) {
+                    closestMiss = { distance: approach.distance, corner: approach.corner, time: bounceTime };
+                }
+                if (config.DEBUG_CORNER_DETECTION) {
+                    console.log('Near miss:', approach.corner, approach.distance.toFixed(1) + 'px');
+                }
+                emit('near-miss', {
+                    element: element,
+                    corner: approach.corner,
+                    distance: approach.distance,
+                    wall: wallLabel,
+                    closest: isClosest // Closest so far this session
+                });
+            }, CORNER_WINDOW_MS);
+        }
+        
+        function checkCornerHit(element, wallLabel) {
+            const currentTime = simTime;
+            const body = element.body;
+            const pos = body.position;
+            
+            // Check if element is actually near a corner based on position
+            const corner = cornerAt(pos.x, pos.y);
+            const isNearAnyCorner = corner !== null;
+            
+            // Debug: Log all wall hits for testing
+            if (config.DEBUG_CORNER_DETECTION) {
+                console.log('Wall hit:', wallLabel, 'at position', pos.x.toFixed(0), pos.y.toFixed(0), 'near corner:', isNearAnyCorner);
+            }
+            
+            // STRICT corner detection: Must be BOTH near corner AND hit two different walls quickly
+            if (isNearAnyCorner &&
+                element.lastWallCollision &&
+                element.lastWallCollision.label !== wallLabel &&
+                currentTime - element.lastWallCollision.time < CORNER_WINDOW_MS &&
+                !isFlashing) {
+                
+                console.log('🎯 RARE CORNER HIT!', element.lastWallCollision.label, '+', wallLabel, 'at', pos.x.toFixed(0), pos.y.toFixed(0));
+                element.lastCornerHitTime = currentTime;
+                cornerHitEffect(false, element, { corner: corner, walls: [element.lastWallCollision.label, wallLabel] });
+            } else {
+                checkNearMiss(element, wallLabel);
+            }
+            
+            // Update last wall collision
+            element.lastWallCollision = {
+                label: wallLabel,
+                time: currentTime,
+                position: { x: pos.x, y: pos.y }
+            };
+        }
+        
+        // Corner-hit forecasting: ray-trace an element's constant-speed path around the
+        // playfield (exact reflections, ignoring other elements, obstacles, goals and
+        // the random angle variation added on each bounce) and find the first pair of
+        // wall contacts that checkCornerHit would count.
+        function forecastCornerHit(element) {
+            const body = element.body;
+            const halfWidth = element.collisionWidth / 2;
+            const halfHeight = element.collisionHeight / 2;
+            const minX = halfWidth;
+            const maxX = windowWidth - halfWidth;
+            const minY = halfHeight;
+            const maxY = windowHeight - halfHeight;
+            
+            let x = Math.max(minX, Math.min(body.position.x, maxX));
+            let y = Math.max(minY, Math.min(body.position.y, maxY));
+            
+            // Matter velocities are per 1/60s step - convert to px/ms
+            let vx = body.velocity.x / FIXED_STEP_MS;
+            let vy = body.velocity.y / FIXED_STEP_MS;
+            
+            const forecast = { time: null, corner: null, path: [{ x: x, y: y, time: simTime }] };
+            if (maxX <= minX || maxY <= minY || (vx === 0 && vy === 0)) {
+                return forecast;
+            }
+            
+            let t = 0;
+            let lastWall = null;
+            for (let bounce = 0; bounce < FORECAST_MAX_BOUNCES; bounce++) {
+                const tx = vx > 0 ? (maxX - x) / vx : vx < 0 ? (minX - x) / vx : Infinity;
+                const ty = vy > 0 ? (maxY - y) / vy : vy < 0 ? (minY - y) / vy : Infinity;
+                const dt = Math.min(tx, ty);
+                if (t + dt > FORECAST_HORIZON_MS) break;
+                
+                t += dt;
+                x += vx * dt;
+                y += vy * dt;
+                forecast.path.push({ x: x, y: y, time: simTime + t });
+                
+                // The path leaves through an open edge - nothing more to forecast
+                if ((tx === dt && isOpenAt(vx > 0 ? 'right' : 'left', y)) ||
+                    (ty === dt && isOpenAt(vy > 0 ? 'bottom' : 'top', x))) {
+                    break;
+                }
+                
+                // Both walls can be reached on the same instant (an exact corner)
+                const walls = [];
+                if (tx === dt) {
+                    walls.push(vx > 0 ? 'wall-right' : 'wall-left');
+                    vx = -vx;
+                }
+                if (ty === dt) {
+                    walls.push(vy > 0 ? 'wall-bottom' : 'wall-top');
+                    vy = -vy;
+                }
+                
+                for (let i = 0; i < walls.length; i++) {
+                    const corner = cornerAt(x, y);
+                    if (corner && lastWall && lastWall.label !== walls[i] && t - lastWall.time < CORNER_WINDOW_MS) {
+                        forecast.time = simTime + t;
+                        forecast.corner = corner;
+                        return forecast;
+                    }
+                    lastWall = { label: walls[i], time: t };
+                }
+            }
+            return forecast;
+        }
+        
+        function invalidateForecast(body) {
+            const element = bouncingElements.find(el => el.body === body);
+            if (element) element.forecastDirty = true;
+        }
+        
+        function invalidateAllForecasts() {
+            bouncingElements.forEach(element => {
+                element.forecastDirty = true;
+            });
+        }
+        
+        // Recompute stale forecasts (after the step, once collision responses have settled)
+        function updateForecasts() {
+            bouncingElements.forEach(element => {
+                // A held element has no path to forecast until it's thrown, and only
+                // constant-speed motion can be forecast at all
+                if (element.grabbed || !physicsMode().constantSpeed) {
+                    element.forecast = null;
+                    element.forecastDirty = true;
+                    return;
+                }
+                
+                const forecast = element.forecast;
+                const hasExpired = forecast && forecast.time !== null && simTime > forecast.time + CORNER_WINDOW_MS;
+                if (element.forecastDirty || hasExpired) {
+                    element.forecast = forecastCornerHit(element);
+                    element.forecastDirty = false;
+                }
+            });
+        }
+        
+        // Pointer dragging. While an element is grabbed it follows its target each
+        // step instead of bouncing; release() throws it in the direction it was
+        // moving and hands it back to constant-speed motion. It can hit a corner
+        // like any other element from then on.
+        function grab(element, x, y) {
+            element.grabbed = { x: x, y: y };
+            element.lastWallCollision = null; // Walls touched while dragging don't count
+            element.wallCooldown = {};
+            emit('grab', { element: element });
+        }
+        
+        function drag(element, x, y) {
+            if (!element.grabbed) return;
+            element.grabbed.x = x;
+            element.grabbed.y = y;
+        }
+        
+        // velocity is in px/ms (e.g. measured from pointer movement)
+        function release(element, velocity) {
+            if (!element.grabbed) return;
+            element.grabbed = null;
+            
+            // Matter velocities are per 1/60s step
+            Body.setVelocity(element.body, {
+                x: velocity.x * FIXED_STEP_MS,
+                y: velocity.y * FIXED_STEP_MS
+            });
+            normalizeVelocity(element.body);
+            emit('release', { element: element, velocity: velocity });
+        }
+        
+        // Move held elements towards their drag targets (kept inside the walls).
+        // Done with velocity rather than position so they still push others aside.
+        function moveGrabbedElements(deltaMs) {
+            for (let i = 0; i < bouncingElements.length; i++) {
+                const element = bouncingElements[i];
+                if (!element.grabbed) continue;
+                
+                const body = element.body;
+                const halfWidth = element.collisionWidth / 2;
+                const halfHeight = element.collisionHeight / 2;
+                const x = Math.max(halfWidth, Math.min(element.grabbed.x, windowWidth - halfWidth));
+                const y = Math.max(halfHeight, Math.min(element.grabbed.y, windowHeight - halfHeight));
+                const perStep = FIXED_STEP_MS / deltaMs;
+                Body.setVelocity(body, {
+                    x: (x - body.position.x) * perStep,
+                    y: (y - body.position.y) * perStep
+                });
+            }
+        }
+        
+        // Remove a single element from the physics world
+        // (callers are responsible for removing it from bouncingElements).
+        // `exit` names the animation the host should play as it goes, if any.
+        function removeElement(element, exit = null) {
+            if (element.body) {
+                World.remove(world, element.body);
+            }
+            emit('remove', { element: element, exit: exit });
+        }
+        
+        // Take one element out of the scene
+        function retireElement(element, exit = null) {
+            const index = bouncingElements.indexOf(element);
+            if (index === -1) return;
+            bouncingElements.splice(index, 1);
+            removeElement(element, exit);
+        }
+        
+        // Population policies - how the scene copes with MAX_ELEMENTS. full() runs when
+        // a corner hit would spawn past the limit and returns the scale for the new
+        // element, or null to spawn nothing. enter/exit name the animations the host
+        // plays as elements arrive and leave. merge and step are optional hooks for
+        // element-to-element contacts and for every engine step.
+        const populationPolicies = {
+            // The original behaviour: wipe the scene and start over
+            reset: {
+                enter: 'fade',
+                exit: 'fade',
+                full: function() {
+                    console.log(`🔄 Reached ${config.MAX_ELEMENTS} elements - resetting!`);
+                    resetAllElements();
+                    return null;
+                }
+            },
+            // The oldest (largest) element pops to make room; the new one takes its size
+            'evict-oldest': {
+                enter: 'fade',
+                exit: 'pop',
+                full: function() {
+                    const oldest = bouncingElements[0];
+                    retireElement(oldest, 'pop');
+                    return oldest.scale;
+                }
+            },
+            // The smallest element shrinks away; the new one takes its size
+            'evict-smallest': {
+                enter: 'fade',
+                exit: 'shrink',
+                full: function() {
+                    const smallest = bouncingElements.reduce((min, element) => element.scale < min.scale ? element : min);
+                    retireElement(smallest, 'shrink');
+                    return smallest.scale;
+                }
+            },
+            // Colliding elements merge into one a size up; when full anyway, the oldest goes
+            merge: {
+                enter: 'grow',
+                exit: 'shrink',
+                full: function() {
+                    const oldest = bouncingElements[0];
+                    retireElement(oldest, 'shrink');
+                    return oldest.scale;
+                },
+                merge: mergeElements
+            },
+            // Elements leave after LIFESPAN_SECONDS (the last one always stays)
+            lifespan: {
+                enter: 'fade',
+                exit: 'fade',
+                full: function() {
+                    const oldest = bouncingElements[0];
+                    retireElement(oldest, 'fade');
+                    return oldest.scale;
+                },
+                step: function() {
+                    const maxAge = config.LIFESPAN_SECONDS * 1000;
+                    bouncingElements
+                        .filter(element => simTime - element.born > maxAge && !element.grabbed)
+                        .forEach(element => {
+                            if (bouncingElements.length > 1) retireElement(element, 'fade');
+                        });
+                }
+            }
+        };
+        
+        function currentPolicy() {
+            return populationPolicies[config.POPULATION_POLICY];
+        }
+        
+        // Replace two elements with one a size up from the larger, where the larger
+        // was, heading the same way
+        function mergeElements(a, b) {
+            const survivor = a.scale >= b.scale ? a : b;
+            const absorbed = survivor === a ? b : a;
+            const position = { x: survivor.body.position.x, y: survivor.body.position.y };
+            const velocity = { x: survivor.body.velocity.x, y: survivor.body.velocity.y };
+            
+            retireElement(absorbed, currentPolicy().exit);
+            retireElement(survivor); // Replaced in place by the merged element
+            
+            const merged = createElement(position.x, position.y, false, false, {
+                scale: Math.min(1, survivor.scale / config.SCALE_FACTOR),
+                label: survivor.label,
+                velocity: velocity,
+                enter: 'grow'
+            });
+            emit('merge', { element: merged, merged: [survivor, absorbed] });
+        }
+        
+        let isResetting = false;
+        
+        function resetAllElements() {
+            if (isResetting) return; // Already fading out
+            isResetting = true;
+            
+            // Let the host fade everything out
+            emit('reset-start', { elements: bouncingElements.slice(), exit: 'fade' });
+            
+            // After fade-out completes, remove elements and create new one
+            schedule(() => {
+                // Remove all existing elements from physics world
+                bouncingElements.forEach(element => removeElement(element));
+                
+                // Clear the array
+                bouncingElements = [];
+                
+                // Reset corner hits counter
+                cornerHits = 0;
+                
+                console.log('🎯 Creating new element with fade-in...');
+                // Create first element in center with fade-in
+                createElement(windowWidth / 2, windowHeight / 2, false, true); // false = not from top, true = enable fade-in
+                isResetting = false;
+                emit('reset', {});
+            }, 1000); // Wait for fade-out to complete
+        }
+        
+        // A corner hit (or manual trigger) spawns a new element; at MAX_ELEMENTS the
+        // population policy decides whether (and how big) it spawns.
+        // `hit` describes a real corner hit: { corner, walls }
+        function cornerHitEffect(isManual = false, hitElement = null, hit = null) {
+            cornerHits++;
+            const hitType = isManual ? 'MANUAL TRIGGER' : 'CORNER HIT';
+            console.log('🎉 ' + hitType + '! #' + cornerHits);
+            
+            emit('corner-hit', {
+                element: hitElement,
+                manual: isManual,
+                count: cornerHits,
+                corner: hit ? hit.corner : null,
+                walls: hit ? hit.walls : null
+            });
+            
+            // Check if we've reached the limit - the population policy decides what gives
+            let spawnScale;
+            if (bouncingElements.length >= config.MAX_ELEMENTS) {
+                spawnScale = currentPolicy().full();
+                if (spawnScale === null) return;
+            }
+            
+            // Create new element dropping from the top
+            let spawnX, spawnY;
+            if (hitElement && !isManual) {
+                // For corner hits, spawn at top and drop down
+                spawnX = windowWidth / 2;
+                spawnY = 50; // Near top of screen
+                
+                // Add random horizontal offset to avoid exact overlap
+                spawnX += (random() - 0.5) * (windowWidth * 0.6); // Spread across 60% of screen width
+            } else {
+                // Manual triggers also spawn at top
+                spawnX = windowWidth / 2 + (random() - 0.5) * (windowWidth * 0.4);
+                spawnY = 50;
+            }
+            
+            createElement(spawnX, spawnY, true, false, { scale: spawnScale }); // true = spawn from top
+            
+            // Corner detection is suppressed while the hit element flashes
+            if (hitElement && !isManual) {
+                isFlashing = true;
+                schedule(() => {
+                    isFlashing = false;
+                }, 1200);
+            }
+        }
+        
+        // Bring the running scene in line with a changed setting (config[key] already updated)
+        function applyConfigChange(key, oldValue) {
+            invalidateAllForecasts();
+            
+            if (key === 'CONSTANT_SPEED') {
+                // Re-normalize existing bodies to the new speed, keeping their direction
+                bouncingElements.forEach(element => normalizeVelocity(element.body));
+            } else if (key === 'TEXT_HEIGHT_RATIO') {
+                // Resize guessed collision bodies vertically around their current centre
+                // (measured ink bounds don't depend on the ratio)
+                const ratio = config.TEXT_HEIGHT_RATIO / oldValue;
+                bouncingElements.forEach(element => {
+                    if (element.inkBounds) return;
+                    Body.scale(element.body, 1, ratio);
+                    Body.setInertia(element.body, Infinity); // Scaling recalculates inertia - keep rotation disabled
+                    element.collisionHeight *= ratio;
+                    element.offsetY = (element.height - element.collisionHeight) / 2;
+                });
+            } else if (key === 'PURE_DVD') {
+                updateWallCollisions();
+            } else if (key === 'PHYSICS_MODE' || key === 'RESTITUTION') {
+                applyPhysicsMode();
+            } else if (key === 'MAX_ELEMENTS') {
+                // Trim the newest (smallest) elements until we're within the new limit
+                while (bouncingElements.length > config.MAX_ELEMENTS) {
+                    removeElement(bouncingElements.pop(), currentPolicy().exit);
+                }
+            }
+        }
+        
+        // Physics modes - how elements move. Each sets the gravity and bounciness,
+        // the speed limits normalizeVelocity holds free-moving elements to, and a
+        // keepMoving rule run on every element each step (stuck detection and the
+        // like). Only dvd moves at CONSTANT_SPEED.
+        let tilt = { x: 0, y: 1 }; // Gravity direction for tilt mode (straight down until told)
+        let attractor = null;      // Pointer position for field mode
+        
+        const noGravity = () => ({ x: 0, y: 0 });
+        const freeSpeedLimits = () => ({ min: 0, max: config.CONSTANT_SPEED * FREE_SPEED_LIMIT });
+        
+        const physicsModes = {
+            dvd: {
+                constantSpeed: true,
+                gravity: noGravity,
+                restitution: () => 1,
+                keepMoving: keepConstantMotion
+            },
+            gravity: {
+                constantSpeed: false,
+                gravity: () => ({ x: 0, y: config.GRAVITY_STRENGTH }),
+                restitution: () => config.RESTITUTION,
+                speedLimits: freeSpeedLimits,
+                keepMoving: kickRestingElement
+            },
+            tilt: {
+                constantSpeed: false,
+                gravity: () => ({ x: tilt.x * config.GRAVITY_STRENGTH, y: tilt.y * config.GRAVITY_STRENGTH }),
+                restitution: () => config.RESTITUTION,
+                speedLimits: freeSpeedLimits,
+                // Coming to rest wherever the device tips them is the point - only the cap applies
+                keepMoving: element => {
+                    if (stepCount % 10 === 0) normalizeVelocity(element.body);
+                }
+            },
+            field: {
+                constantSpeed: false,
+                gravity: noGravity,
+                restitution: () => 1,
+                // Never quite stops, so elements drift while the pointer is away
+                speedLimits: () => ({ min: config.CONSTANT_SPEED / 2, max: config.CONSTANT_SPEED * FREE_SPEED_LIMIT }),
+                keepMoving: applyField
+            }
+        };
+        
+        function physicsMode() {
+            return physicsModes[config.PHYSICS_MODE];
+        }
+        
+        // Bring bounciness and speeds in line with the current mode. Back in dvd
+        // mode every element returns to constant speed.
+        function applyPhysicsMode() {
+            const restitution = physicsMode().restitution();
+            world.bodies.forEach(body => {
+                if (!body.isSensor) body.restitution = restitution;
+            });
+            updateWallCollisions();
+            attractor = null; // Until the host reports the pointer again
+            bouncingElements.forEach(element => {
+                element.restingSince = null;
+                normalizeVelocity(element.body);
+            });
+            invalidateAllForecasts();
+        }
+        
+        // Clamp a free-moving body's speed to { min, max }
+        function limitSpeed(body, limits) {
+            const velocity = body.velocity;
+            const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+            if (speed < 0.1 && limits.min > 0) {
+                const angle = random() * Math.PI * 2;
+                Body.setVelocity(body, { x: Math.cos(angle) * limits.min, y: Math.sin(angle) * limits.min });
+            } else if (speed < limits.min || speed > limits.max) {
+                const target = Math.max(limits.min, Math.min(speed, limits.max));
+                Body.setVelocity(body, { x: velocity.x / speed * target, y: velocity.y / speed * target });
+            }
+        }
+        
+        // DVD mode: nudge axis-aligned motion and hold the constant speed
+        function keepConstantMotion(element) {
+            const body = element.body;
+            
+            // Nudge obviously stuck (axis-aligned) motion straight away
+            const velocity = body.velocity;
+            const velAngle = Math.atan2(velocity.y, velocity.x);
+            const normalizedAngle = ((velAngle % (Math.PI * 2)) + (Math.PI * 2)) % (Math.PI * 2);
+            
+            // If moving nearly perfectly vertical for instant correction
+            const isVeryVertical = Math.abs(normalizedAngle - Math.PI/2) < 0.05 ||
+                                 Math.abs(normalizedAngle - 3*Math.PI/2) < 0.05;
+            const isVeryHorizontal = Math.abs(normalizedAngle) < 0.05 ||
+                                   Math.abs(normalizedAngle - Math.PI) < 0.05;
+            
+            if (isVeryVertical || isVeryHorizontal) {
+                // Add small random nudge immediately
+                const nudgeAngle = velAngle + (random() - 0.5) * 0.4; // ±0.2 radians
+                Body.setVelocity(body, {
+                    x: Math.cos(nudgeAngle) * config.CONSTANT_SPEED,
+                    y: Math.sin(nudgeAngle) * config.CONSTANT_SPEED
+                });
+                element.forecastDirty = true;
+                emit('nudge', { element: element, reason: 'axis' });
+            }
+            
+            // Ensure constant velocity (safety check) - only check every 10 steps to reduce conflicts
+            if (stepCount % 10 === 0) {
+                const currentSpeed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+                if (Math.abs(currentSpeed - config.CONSTANT_SPEED) > 0.5) { // Increased tolerance
+                    normalizeVelocity(body);
+                }
+            }
+        }
+        
+        // Gravity mode: an element that has lain still for REST_KICK_MS is stuck as
+        // far as a bouncing screen is concerned - kick it back into the air
+        function kickRestingElement(element) {
+            const body = element.body;
+            const velocity = body.velocity;
+            const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+            
+            if (speed > REST_SPEED) {
+                element.restingSince = null;
+            } else if (element.restingSince === null || element.restingSince === undefined) {
+                element.restingSince = simTime;
+            } else if (simTime - element.restingSince > REST_KICK_MS) {
+                element.restingSince = null;
+                const kick = config.CONSTANT_SPEED * (2 + random()) * Math.sqrt(config.GRAVITY_STRENGTH);
+                Body.setVelocity(body, { x: (random() - 0.5) * config.CONSTANT_SPEED * 2, y: -kick });
+                emit('nudge', { element: element, reason: 'rest' });
+            }
+            
+            if (stepCount % 10 === 0) normalizeVelocity(body);
+        }
+        
+        // Field mode: accelerate towards the pointer (away from it when negative),
+        // at full strength within FIELD_FALLOFF and weakening with distance beyond
+        function applyField(element) {
+            const body = element.body;
+            if (attractor) {
+                const dx = attractor.x - body.position.x;
+                const dy = attractor.y - body.position.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > FIELD_DEAD_ZONE) {
+                    const pull = config.FIELD_STRENGTH * FIELD_ACCELERATION * Math.min(1, FIELD_FALLOFF / distance);
+                    Body.setVelocity(body, {
+                        x: body.velocity.x + dx / distance * pull,
+                        y: body.velocity.y + dy / distance * pull
+                    });
+                }
+            }
+            normalizeVelocity(body);
+        }
+        
+        // Tilt mode gravity direction, e.g. from DeviceOrientation (length up to 1)
+        function setTilt(x, y) {
+            const length = Math.sqrt(x * x + y * y);
+            tilt = length > 1 ? { x: x / length, y: y / length } : { x: x, y: y };
+        }
+        
+        // Field mode pointer position in playfield units, or null when there's no pointer
+        function setAttractor(point) {
+            attractor = point ? { x: point.x, y: point.y } : null;
+        }
+        
+        // Detect large playfields for performance scaling
+        const isLargeMonitor = windowWidth > 2000 || windowHeight > 1200;
+        const cleanupInterval = isLargeMonitor ? 120 : 60; // Clean up less frequently on large monitors
+        
+        // Advance the simulation by one engine step
+        function step(deltaMs) {
+            replaying = simTime < playedUntil;
+            stepCount++;
+            moveGrabbedElements(deltaMs);
+            
+            const gravity = physicsMode().gravity();
+            engine.world.gravity.x = gravity.x;
+            engine.world.gravity.y = gravity.y;
+            
+            // Update Matter.js engine with delta time
+            Engine.update(engine, deltaMs);
+            simTime += deltaMs;
+            runScheduledCallbacks();
+            
+            releaseCrossingElements();
+            
+            const policy = currentPolicy();
+            if (policy.step) policy.step();
+            
+            // Keep every element moving the way the physics mode wants
+            const mode = physicsMode();
+            for (let i = 0; i < bouncingElements.length; i++) {
+                const element = bouncingElements[i];
+                if (element.grabbed) continue; // Moving under the pointer, not under physics
+                
+                mode.keepMoving(element);
+                
+                // Clean up old wall cooldowns less frequently on large monitors
+                if (stepCount % cleanupInterval === 0) {
+                    const currentTime = simTime;
+                    Object.keys(element.wallCooldown).forEach(wallLabel => {
+                        if (currentTime - element.wallCooldown[wallLabel] > 500) {
+                            delete element.wallCooldown[wallLabel];
+                        }
+                    });
+                }
+            }
+            
+            updateForecasts();
+            playedUntil = Math.max(playedUntil, simTime);
+            replaying = false;
+        }
+        
+        // Advance by elapsed wall-clock time: whole fixed steps in fixed-timestep
+        // mode (carrying the remainder), otherwise one capped variable step.
+        // Returns the number of engine steps taken.
+        function advance(elapsedMs) {
+            if (catchUpReport) return catchUpFrame(elapsedMs);
+            if (!config.FIXED_TIMESTEP) {
+                // Cap delta time to prevent large jumps
+                step(Math.min(elapsedMs, 33.333)); // Max 30fps equivalent
+                return 1;
+            }
+            
+            stepAccumulator += elapsedMs;
+            let steps = 0;
+            while (stepAccumulator >= FIXED_STEP_MS && steps < MAX_STEPS_PER_FRAME) {
+                step(FIXED_STEP_MS);
+                stepAccumulator -= FIXED_STEP_MS;
+                steps++;
+            }
+            if (steps === MAX_STEPS_PER_FRAME) {
+                stepAccumulator = 0;
+            }
+            return steps;
+        }
+        
+        // Catching up: play time the host couldn't run (e.g. while its tab was
+        // hidden) in fixed steps, exactly as if it had run live, up to
+        // CATCH_UP_SECONDS. fastForward() only queues the time; the host's next
+        // advance() calls play it CATCH_UP_STEPS_PER_FRAME steps at a time (their
+        // own time joining the queue), so the page keeps drawing meanwhile. Events
+        // fire as usual with fastForwarding set, so the host can skip or hold back
+        // per-event effects, and a 'caught-up' event sums up what happened.
+        let fastForwarding = false;
+        let catchUpReport = null;
+        let catchUpLeft = 0;
+        let catchUpStart = 0;
+        let catchUpLive = 0; // Frame time that joined the queue, not missed time
+        
+        function fastForward(elapsedMs) {
+            const limit = config.CATCH_UP_SECONDS * 1000;
+            if (!catchUpReport) {
+                catchUpReport = { elapsed: 0, skipped: 0, cornerHits: 0, goals: 0, spawned: 0, resets: 0 };
+                catchUpStart = simTime;
+                catchUpLive = 0;
+            }
+            const missed = catchUpLeft + simTime - catchUpStart - catchUpLive;
+            const playMs = Math.max(0, Math.min(elapsedMs, limit - missed));
+            catchUpReport.skipped += elapsedMs - playMs;
+            catchUpLeft += playMs;
+            if (catchUpLeft < FIXED_STEP_MS) finishCatchUp();
+        }
+        
+        function catchUpFrame(elapsedMs) {
+            catchUpLeft += elapsedMs;
+            catchUpLive += elapsedMs;
+            fastForwarding = true;
+            let steps = 0;
+            while (catchUpLeft >= FIXED_STEP_MS && steps < CATCH_UP_STEPS_PER_FRAME) {
+                step(FIXED_STEP_MS);
+                catchUpLeft -= FIXED_STEP_MS;
+                steps++;
+            }
+            fastForwarding = false;
+            
+            if (catchUpLeft < FIXED_STEP_MS) finishCatchUp();
+            return steps;
+        }
+        
+        function finishCatchUp() {
+            const report = catchUpReport;
+            catchUpReport = null;
+            stepAccumulator += catchUpLeft;
+            catchUpLeft = 0;
+            report.elapsed = Math.max(0, simTime - catchUpStart - catchUpLive);
+            emit('caught-up', report);
+        }
+        
+        on('corner-hit', event => {
+            if (!catchUpReport || event.manual) return;
+            if (event.corner === 'goal') {
+                catchUpReport.goals++;
+            } else {
+                catchUpReport.cornerHits++;
+            }
+        });
+        on('spawn', () => {
+            if (catchUpReport) catchUpReport.spawned++;
+        });
+        on('reset', () => {
+            if (catchUpReport) catchUpReport.resets++;
+        });
+        
+        // Snapshots - everything the simulation needs to carry on from a moment
+        // exactly as it did the first time: the clock, the random sequence, pending
+        // scheduled callbacks, counters, and each element's body motion, wall
+        // cooldowns and corner-detection state. Elements are kept by reference.
+        // Matter's contact cache isn't captured, so contacts in progress at the
+        // snapshot are picked up afresh after a restore.
+        function copyPoint(point) {
+            return { x: point.x, y: point.y };
+        }
+        
+        // Matter's raw motion state, copied exactly rather than through
+        // setVelocity so a restored body doesn't pick up rounding differences
+        function captureBody(body) {
+            return {
+                position: copyPoint(body.position),
+                positionPrev: copyPoint(body.positionPrev),
+                velocity: copyPoint(body.velocity),
+                positionImpulse: copyPoint(body.positionImpulse),
+                vertices: body.vertices.map(copyPoint)
+            };
+        }
+        
+        function restoreBody(body, saved) {
+            Body.setPosition(body, saved.position); // Keeps bounds and parts in step
+            Object.assign(body.position, saved.position);
+            Object.assign(body.positionPrev, saved.positionPrev);
+            Object.assign(body.velocity, saved.velocity);
+            Object.assign(body.positionImpulse, saved.positionImpulse);
+            body.speed = Math.hypot(saved.velocity.x, saved.velocity.y);
+            saved.vertices.forEach((vertex, i) => Object.assign(body.vertices[i], vertex));
+            Matter.Bounds.update(body.bounds, body.vertices, body.velocity);
+        }
+        
+        function snapshot() {
+            return {
+                engineTime: engine.timing.timestamp,
+                time: simTime,
+                stepCount: stepCount,
+                random: random.getState(),
+                scheduled: scheduledCallbacks.slice(),
+                scheduleSequence: scheduleSequence,
+                cornerHits: cornerHits,
+                isFlashing: isFlashing,
+                isResetting: isResetting,
+                closestMiss: closestMiss,
+                elements: bouncingElements.map(element => ({
+                    element: element,
+                    body: captureBody(element.body),
+                    wallCooldown: Object.assign({}, element.wallCooldown),
+                    lastWallCollision: element.lastWallCollision && {
+                        label: element.lastWallCollision.label,
+                        time: element.lastWallCollision.time,
+                        position: Object.assign({}, element.lastWallCollision.position)
+                    },
+                    lastCornerHitTime: element.lastCornerHitTime,
+                    lastCollisionTime: element.lastCollisionTime,
+                    restingSince: element.restingSince,
+                    born: element.born
+                }))
+            };
+        }
+        
+        // Put the world back as it was at a snapshot. Elements created since are
+        // removed and ones removed since come back, each with the usual
+        // 'remove'/'spawn' events ('spawn' has restored: true).
+        function restore(state) {
+            if (catchUpReport) finishCatchUp(); // What's left is no longer missed time
+            const kept = state.elements.map(saved => saved.element);
+            bouncingElements.slice().forEach(element => {
+                if (kept.indexOf(element) === -1) retireElement(element);
+            });
+            
+            const returning = kept.filter(element => bouncingElements.indexOf(element) === -1);
+            bouncingElements = kept.slice();
+            returning.forEach(element => World.add(world, element.body));
+            
+            state.elements.forEach(saved => {
+                const element = saved.element;
+                element.grabbed = null;
+                restoreBody(element.body, saved.body);
+                element.wallCooldown = Object.assign({}, saved.wallCooldown);
+                element.lastWallCollision = saved.lastWallCollision && {
+                    label: saved.lastWallCollision.label,
+                    time: saved.lastWallCollision.time,
+                    position: Object.assign({}, saved.lastWallCollision.position)
+                };
+                element.lastCornerHitTime = saved.lastCornerHitTime;
+                element.lastCollisionTime = saved.lastCollisionTime;
+                element.restingSince = saved.restingSince;
+                element.born = saved.born;
+                element.forecastDirty = true;
+            });
+            
+            engine.timing.timestamp = state.engineTime;
+            simTime = state.time;
+            stepCount = state.stepCount;
+            stepAccumulator = 0;
+            random.setState(state.random);
+            scheduledCallbacks = state.scheduled.slice();
+            scheduleSequence = state.scheduleSequence;
+            cornerHits = state.cornerHits;
+            isFlashing = state.isFlashing;
+            isResetting = state.isResetting;
+            closestMiss = state.closestMiss;
+            pendingCollisions = [];
+            pendingMerges = [];
+            Matter.Pairs.clear(engine.pairs);
+            
+            returning.forEach(element => {
+                emit('spawn', { element: element, spawnFromTop: false, enter: null, restored: true });
+            });
+            emit('restore', { time: simTime });
+        }
+        
+        updateWorldBoundaries();
+        
+        return {
+            engine: engine,
+            world: world,
+            config: config,
+            seed: seed,
+            random: random,
+            get elements() { return bouncingElements; },
+            get time() { return simTime; },
+            get cornerHits() { return cornerHits; },
+            get isFlashing() { return isFlashing; },
+            get fastForwarding() { return fastForwarding; },
+            get catchingUp() { return catchUpReport !== null; },
+            get replaying() { return replaying; },
+            get closestMiss() { return closestMiss; },
+            get width() { return windowWidth; },
+            get height() { return windowHeight; },
+            on: on,
+            step: step,
+            advance: advance,
+            fastForward: fastForward,
+            snapshot: snapshot,
+            restore: restore,
+            schedule: schedule,
+            resize: resize,
+            setOpenEdges: setOpenEdges,
+            setLayout: setLayout,
+            setTilt: setTilt,
+            setAttractor: setAttractor,
+            getLayout: getLayout,
+            obstacleAt: obstacleAt,
+            createElement: createElement,
+            removeElement: removeElement,
+            retireElement: retireElement,
+            resetAllElements: resetAllElements,
+            cornerHitEffect: cornerHitEffect,
+            applyConfigChange: applyConfigChange,
+            normalizeVelocity: normalizeVelocity,
+            grab: grab,
+            drag: drag,
+            release: release,
+            cornerAt: cornerAt,
+            cornerDistance: cornerDistance,
+            forecastCornerHit: forecastCornerHit
+        };
+    }
+    
+    return {
+        CONFIG_SCHEMA: CONFIG_SCHEMA,
+        OBSTACLE_DEFAULTS: OBSTACLE_DEFAULTS,
+        OBSTACLE_THICKNESS: OBSTACLE_THICKNESS,
+        FIXED_STEP_MS: FIXED_STEP_MS,
+        CORNER_WINDOW_MS: CORNER_WINDOW_MS,
+        FORECAST_HORIZON_MS: FORECAST_HORIZON_MS,
+        defaultConfig: defaultConfig,
+        createRandom: createRandom,
+        createSimulation: createSimulation
+    };
+});
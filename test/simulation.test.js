@@ -0,0 +1,265 @@
+// Headless tests for the simulation core (simulation.js). Run with `npm test`.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Matter = require('matter-js');
+const { createSimulation, FIXED_STEP_MS } = require('../simulation.js');
+
+// Small elements in a small playfield, so corners are easy to reach
+function measure() {
+    return { width: 60, height: 20 };
+}
+
+function createTestSimulation(config = {}, seed = 1) {
+    return createSimulation({ width: 400, height: 300, seed: seed, config: config, measure: measure });
+}
+
+function run(sim, steps) {
+    for (let i = 0; i < steps; i++) sim.step(FIXED_STEP_MS);
+}
+
+function positions(sim) {
+    return sim.elements.map(element => [element.body.position.x, element.body.position.y]);
+}
+
+test('an element hitting two walls at a corner counts as a corner hit', () => {
+    const sim = createTestSimulation();
+    const hits = [];
+    sim.on('corner-hit', event => hits.push(event));
+    
+    const element = sim.createElement(60, 40);
+    Matter.Body.setVelocity(element.body, { x: -3, y: -3 });
+    run(sim, 30);
+    
+    assert.strictEqual(hits.length, 1);
+    assert.strictEqual(hits[0].element, element);
+    assert.strictEqual(hits[0].manual, false);
+    assert.strictEqual(hits[0].corner, 'top-left');
+    assert.deepStrictEqual(hits[0].walls, ['wall-left', 'wall-top']);
+    assert.strictEqual(sim.cornerHits, 1);
+});
+
+test('a wall bounce far from a corner is not a corner hit', () => {
+    const sim = createTestSimulation();
+    const bounces = [];
+    sim.on('wall-bounce', event => bounces.push(event.wall));
+    sim.on('corner-hit', () => assert.fail('unexpected corner hit'));
+    
+    const element = sim.createElement(200, 40);
+    Matter.Body.setVelocity(element.body, { x: 1, y: -3 });
+    run(sim, 30);
+    
+    assert.deepStrictEqual(bounces, ['wall-top']);
+});
+
+test('touching the same wall again within WALL_COOLDOWN_MS is blocked', () => {
+    const sim = createTestSimulation();
+    const bounces = [];
+    const blocked = [];
+    sim.on('wall-bounce', event => bounces.push(event.wall));
+    sim.on('blocked-bounce', event => blocked.push(event));
+    
+    const element = sim.createElement(200, 40);
+    Matter.Body.setVelocity(element.body, { x: 1, y: -3 });
+    for (let i = 0; i < 30 && bounces.length === 0; i++) sim.step(FIXED_STEP_MS);
+    
+    // Back into the same wall straight away
+    run(sim, 2);
+    Matter.Body.setVelocity(element.body, { x: 1, y: -3 });
+    run(sim, 3);
+    
+    assert.deepStrictEqual(bounces, ['wall-top']);
+    assert.strictEqual(blocked.length, 1);
+    assert.strictEqual(blocked[0].wall, 'wall-top');
+    assert.ok(blocked[0].cooldownLeft > 0 && blocked[0].cooldownLeft < sim.config.WALL_COOLDOWN_MS);
+});
+
+test('axis-aligned motion is nudged off the axis at constant speed', () => {
+    const sim = createTestSimulation();
+    const nudges = [];
+    sim.on('nudge', event => nudges.push(event.reason));
+    
+    const element = sim.createElement(200, 150);
+    Matter.Body.setVelocity(element.body, { x: 3, y: 0 });
+    sim.step(FIXED_STEP_MS);
+    
+    assert.deepStrictEqual(nudges, ['axis']);
+    const velocity = element.body.velocity;
+    assert.notStrictEqual(velocity.y, 0);
+    assert.ok(Math.abs(Math.hypot(velocity.x, velocity.y) - sim.config.CONSTANT_SPEED) < 0.01);
+});
+
+test('an element stuck at rest in gravity mode is kicked back into motion', () => {
+    const sim = createTestSimulation({ PHYSICS_MODE: 'gravity', RESTITUTION: 0 });
+    const nudges = [];
+    sim.on('nudge', event => nudges.push(event.reason));
+    
+    const element = sim.createElement(200, 150);
+    run(sim, 60 * 10);
+    
+    assert.ok(nudges.indexOf('rest') !== -1);
+    assert.strictEqual(nudges.indexOf('axis'), -1);
+    assert.ok(element.body.position.y < sim.height);
+});
+
+test('each new element is SCALE_FACTOR smaller than the one before', () => {
+    const sim = createTestSimulation();
+    sim.createElement();
+    sim.cornerHitEffect(true);
+    sim.cornerHitEffect(true);
+    sim.cornerHitEffect(true);
+    
+    const factor = sim.config.SCALE_FACTOR;
+    const scales = sim.elements.map(element => element.scale);
+    scales.forEach((scale, i) => assert.ok(Math.abs(scale - Math.pow(factor, i)) < 1e-9));
+});
+
+test('reaching MAX_ELEMENTS fades everything out and starts over with one element', () => {
+    const sim = createTestSimulation({ MAX_ELEMENTS: 3 });
+    const events = [];
+    ['reset-start', 'reset'].forEach(type => sim.on(type, () => events.push(type)));
+    
+    sim.createElement();
+    sim.cornerHitEffect(true);
+    sim.cornerHitEffect(true);
+    assert.strictEqual(sim.elements.length, 3);
+    assert.deepStrictEqual(events, []);
+    
+    sim.cornerHitEffect(true);
+    assert.deepStrictEqual(events, ['reset-start']);
+    assert.strictEqual(sim.elements.length, 3); // Still fading out
+    
+    run(sim, 120);
+    assert.deepStrictEqual(events, ['reset-start', 'reset']);
+    assert.strictEqual(sim.elements.length, 1);
+    assert.strictEqual(sim.elements[0].scale, 1);
+    assert.strictEqual(sim.cornerHits, 0);
+});
+
+test('the same seed plays out the same scene', () => {
+    function play(seed) {
+        const sim = createTestSimulation({}, seed);
+        const hits = [];
+        sim.on('corner-hit', event => hits.push([event.corner, event.count, sim.time]));
+        sim.createElement();
+        run(sim, 3000);
+        return { positions: positions(sim), hits: hits, count: sim.elements.length };
+    }
+    
+    const first = play(42);
+    assert.ok(first.hits.length > 0);
+    assert.deepStrictEqual(play(42), first);
+    assert.notDeepStrictEqual(play(43).positions, first.positions);
+});
+
+test('restoring a snapshot replays the scene exactly', () => {
+    const sim = createTestSimulation({}, 42);
+    sim.createElement();
+    run(sim, 300);
+    
+    const snapshot = sim.snapshot();
+    const record = () => {
+        const hits = [];
+        sim.on('corner-hit', event => hits.push([event.corner, event.count, sim.time]));
+        const trace = [];
+        for (let i = 0; i < 20; i++) {
+            run(sim, 100);
+            trace.push(positions(sim));
+        }
+        return { trace: trace, hits: hits.slice(), time: sim.time, count: sim.elements.length };
+    };
+    
+    const original = record();
+    assert.ok(original.hits.length > 0);
+    
+    sim.restore(snapshot);
+    assert.strictEqual(sim.time, snapshot.time);
+    
+    const replay = record();
+    assert.deepStrictEqual(replay.trace, original.trace);
+    assert.deepStrictEqual(replay.hits, original.hits);
+    assert.strictEqual(replay.time, original.time);
+    assert.strictEqual(replay.count, original.count);
+});
+
+test('catching up plays the time through over several frames and sums it up at the end', () => {
+    const sim = createTestSimulation({}, 42);
+    sim.createElement();
+    const during = [];
+    const reports = [];
+    sim.on('corner-hit', () => during.push(sim.fastForwarding));
+    sim.on('caught-up', report => reports.push([report, sim.fastForwarding]));
+    
+    const start = sim.time;
+    sim.fastForward(60 * 1000);
+    assert.strictEqual(sim.time, start); // Nothing played until the next frame
+    assert.ok(sim.catchingUp);
+    
+    let frames = 0;
+    while (sim.catchingUp) {
+        const steps = sim.advance(FIXED_STEP_MS);
+        assert.ok(steps <= 60);
+        frames++;
+    }
+    const live = frames * FIXED_STEP_MS; // The frames' own time played along the way
+    
+    assert.ok(frames > 1);
+    assert.ok(during.length > 0);
+    assert.ok(during.every(flag => flag));
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0][1], false);
+    const report = reports[0][0];
+    assert.strictEqual(report.cornerHits + report.goals, during.length);
+    assert.strictEqual(report.skipped, 0);
+    assert.ok(Math.abs(report.elapsed + live - (sim.time - start)) < 1e-6);
+    assert.ok(Math.abs(report.elapsed - 60 * 1000) < FIXED_STEP_MS);
+});
+
+test('catching up plays at most CATCH_UP_SECONDS of missed time', () => {
+    const sim = createTestSimulation({ CATCH_UP_SECONDS: 10 });
+    sim.createElement();
+    let report = null;
+    sim.on('caught-up', event => {
+        report = event;
+    });
+    
+    sim.fastForward(25 * 1000);
+    while (sim.catchingUp) sim.advance(0);
+    
+    assert.ok(Math.abs(report.skipped - 15 * 1000) < 1e-9);
+    assert.ok(Math.abs(report.elapsed - 10 * 1000) < FIXED_STEP_MS);
+});
+
+test('events replayed after rewinding to a snapshot are marked as replaying', () => {
+    const sim = createTestSimulation({}, 42);
+    sim.createElement();
+    run(sim, 300);
+    const snapshot = sim.snapshot();
+    
+    // Counted the way the page's stats count them
+    let counted = 0;
+    let replayed = 0;
+    sim.on('corner-hit', event => {
+        if (event.manual) return;
+        if (sim.replaying) {
+            replayed++;
+        } else {
+            counted++;
+        }
+    });
+    run(sim, 2000);
+    const before = counted;
+    assert.ok(before > 0);
+    assert.strictEqual(replayed, 0);
+    
+    sim.restore(snapshot);
+    run(sim, 2000);
+    assert.strictEqual(counted, before);
+    assert.strictEqual(replayed, before);
+    assert.strictEqual(sim.replaying, false);
+    
+    // Past the furthest point reached, hits are new again
+    run(sim, 3000);
+    assert.ok(counted > before);
+});